@@ -4,11 +4,49 @@ import { ParticleSystem } from './systems/ParticleSystem'
 import { useHandTracking } from './hooks/useHandTracking'
 import { SystemState } from './types/SystemState'
 import { AudioSystem } from './systems/AudioSystem'
+import { QualityController, getQualityLevel } from './systems/QualityController'
+import { PostProcessing } from './systems/PostProcessing'
+import { CameraController } from './systems/CameraController'
 import { Interface } from './components/Interface'
+import { isModelFile, registerModelShape } from './utils/modelLoader'
+import { isImageFile, registerImageShape } from './utils/imageLoader'
+import { applyPreset, BUILT_IN_PRESETS, capturePreset, parsePreset, presetFromHash, presetToHash } from './utils/presets'
+import { DEFAULT_SHAPE, getAdjacentShape, getShape } from './utils/shapeRegistry'
+import { continuousAction, getBindings, loadBindings, saveBindings, setBindings, setGestureBinding } from './utils/gestureBindings'
+import {
+  addCustomGesture,
+  getCustomGestures,
+  importCustomGestures,
+  loadCustomGestures,
+  removeCustomGesture,
+  saveCustomGestures,
+  serializeCustomGestures
+} from './utils/customGestures'
+
+const DEFAULT_SPIN = 2 // Radians per second, for spins without a measured speed
+
+// Save a blob through a temporary download link
+const downloadBlob = (blob, filename) => {
+  const url = URL.createObjectURL(blob)
+  const link = document.createElement('a')
+  link.href = url
+  link.download = filename
+  link.click()
+  URL.revokeObjectURL(url)
+}
+
+const downloadJson = (data, filename) => {
+  downloadBlob(new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' }), filename)
+}
+
+// Continuous binding actions -> the hand gestures the systems understand
+const HAND_GESTURES = { REPEL: 'OPEN', ORBIT: 'GRAB' }
+
+const SHAPE_STEPS = { NEXT_SHAPE: 1, PREVIOUS_SHAPE: -1 }
 
 export default function App() {
   const mountRef = useRef(null)
-  const { handDataRef, debugText, videoRef, systemState, error, detectedGesture } = useHandTracking()
+  const { handDataRef, gestureEvents, debugText, videoRef, systemState, error, tracking, recording, recordGesture } = useHandTracking()
 
   // Three.js Refs
   const sceneRef = useRef(null)
@@ -16,9 +54,34 @@ export default function App() {
   const cameraRef = useRef(null)
   const particleSystemRef = useRef(null)
   const audioSystemRef = useRef(null)
+  const qualityRef = useRef(null)
+  const postRef = useRef(null)
+  const cameraControllerRef = useRef(null)
   const frameIdRef = useRef(null)
+  const presetsRef = useRef({ list: [], index: 0 }) // Cycled by NEXT_PRESET; the first is the startup look
+  const screenshotRef = useRef(false) // Save the next rendered frame
 
   const [audioStarted, setAudioStarted] = useState(false);
+  const [shape, setShape] = useState(DEFAULT_SHAPE);
+  const [morphTarget, setMorphTarget] = useState(null);
+  const [fps, setFps] = useState(0);
+  const [quality, setQuality] = useState(null);
+  const [customGestures, setCustomGestures] = useState(() => {
+    try {
+      loadCustomGestures()
+    } catch (err) {
+      console.warn('Ignoring stored custom gestures:', err)
+    }
+    return getCustomGestures()
+  });
+  const [bindings, setBindingsState] = useState(() => {
+    try {
+      loadBindings()
+    } catch (err) {
+      console.warn('Ignoring stored gesture bindings:', err)
+    }
+    return getBindings()
+  });
 
   // Initialization Effect
   useEffect(() => {
@@ -30,9 +93,8 @@ export default function App() {
     scene.background = new THREE.Color('#000000')
     sceneRef.current = scene
 
-    // 2. Setup Camera
+    // 2. Setup Camera (placed by the camera controller below)
     const camera = new THREE.PerspectiveCamera(60, window.innerWidth / window.innerHeight, 0.1, 1000)
-    camera.position.z = 120
     cameraRef.current = camera
 
     // 3. Setup Renderer
@@ -41,31 +103,95 @@ export default function App() {
       powerPreference: "high-performance"
     })
     renderer.setSize(window.innerWidth, window.innerHeight)
-    renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2))
     mountRef.current.appendChild(renderer.domElement)
     rendererRef.current = renderer
 
-    // 4. Initialize Particles
-    const ps = new ParticleSystem(scene)
+    // 4. Initialize Particles, sized by the quality controller (also sets the pixel ratio).
+    // ?seed=... makes runs reproducible; the particle count is pinned so it stays that way
+    const seed = new URLSearchParams(window.location.search).get('seed') ?? undefined
+    const tier = seed === undefined ? 'auto' : 'medium'
+    const ps = new ParticleSystem(scene, { renderer, camera, size: getQualityLevel(tier).size, seed })
     particleSystemRef.current = ps
 
+    const quality = new QualityController(renderer, ps, { tier })
+    qualityRef.current = quality
+    const handleQualityChange = ({ tier, size, pixelRatio }) => {
+      setQuality({ tier, size, pixelRatio })
+      if (postRef.current) postRef.current.setPixelRatio(pixelRatio)
+    }
+    const handleQualitySample = (e) => setFps(Math.round(e.fps))
+    quality.addEventListener('change', handleQualityChange)
+    quality.addEventListener('sample', handleQualitySample)
+    handleQualityChange({ tier: quality.tier, size: ps.size, pixelRatio: renderer.getPixelRatio() })
+
+    // Bloom, trails, lens and tone mapping; per-shape settings follow transitions
+    const post = new PostProcessing(renderer, scene, camera)
+    post.setShape(ps.currentShape)
+    postRef.current = post
+
+    // Orbit: fist / mouse / touch input, idle drift and per-shape presets
+    const cameraController = new CameraController(camera, renderer.domElement)
+    cameraController.setShape(ps.currentShape)
+    cameraControllerRef.current = cameraController
+
     // 5. Initialize Audio System (Lazy init)
     const audio = new AudioSystem();
     audioSystemRef.current = audio;
 
+    // Transition hooks: SFX (no-op until audio starts) and HUD state
+    const handleTransitionStart = (e) => {
+      audio.triggerWhoosh()
+      post.setShape(e.shape)
+      cameraController.setShape(e.shape)
+      setShape(e.shape)
+      setMorphTarget(e.shape)
+    }
+    const handleTransitionEnd = () => setMorphTarget(null)
+    ps.addEventListener('transitionstart', handleTransitionStart)
+    ps.addEventListener('transitionend', handleTransitionEnd)
+
+    // Presets shared through the URL (#preset=...)
+    const systems = { particleSystem: ps, quality, audio }
+    const handleHashChange = () => {
+      try {
+        const preset = presetFromHash(window.location.hash)
+        if (preset) {
+          applyPreset(preset, systems)
+          setBindingsState(getBindings())
+        }
+      } catch (err) {
+        console.error('Ignoring preset in URL:', err)
+      }
+    }
+    handleHashChange()
+    window.addEventListener('hashchange', handleHashChange)
+
+    // Built-in presets only restyle; the gesture table is left as it is
+    const startup = capturePreset(systems)
+    delete startup.bindings
+    presetsRef.current = { list: [{ name: 'STARTUP', preset: startup }, ...BUILT_IN_PRESETS], index: 0 }
+
     // 6. Handle Resize
     const handleResize = () => {
       camera.aspect = window.innerWidth / window.innerHeight
       camera.updateProjectionMatrix()
       renderer.setSize(window.innerWidth, window.innerHeight)
+      post.setSize(window.innerWidth, window.innerHeight)
     }
     window.addEventListener('resize', handleResize)
 
     // Cleanup on unmount
     return () => {
       window.removeEventListener('resize', handleResize)
+      window.removeEventListener('hashchange', handleHashChange)
+      ps.removeEventListener('transitionstart', handleTransitionStart)
+      ps.removeEventListener('transitionend', handleTransitionEnd)
+      quality.removeEventListener('change', handleQualityChange)
+      quality.removeEventListener('sample', handleQualitySample)
       if (frameIdRef.current) cancelAnimationFrame(frameIdRef.current)
       if (particleSystemRef.current) particleSystemRef.current.dispose()
+      post.dispose()
+      cameraController.dispose()
       if (mountRef.current && renderer.domElement) {
         mountRef.current.removeChild(renderer.domElement)
       }
@@ -75,79 +201,92 @@ export default function App() {
     }
   }, [])
 
-  // Shape Change Effect (Reactive to detectedGesture)
-  useEffect(() => {
-    if (particleSystemRef.current && detectedGesture) {
-      // console.log("Morphing to:", detectedGesture);
-      particleSystemRef.current.setShape(detectedGesture);
+  // What presets read and write (see utils/presets)
+  const getSystems = () => ({
+    particleSystem: particleSystemRef.current,
+    quality: qualityRef.current,
+    audio: audioSystemRef.current
+  })
 
-      // Trigger audio SFX
-      if (audioSystemRef.current && audioStarted) {
-        audioSystemRef.current.triggerWhoosh();
-      }
+  // Audible feedback when a gesture that does something is recognised
+  useEffect(() => {
+    const handleGestureStart = (e) => {
+      if (!audioSystemRef.current) return
+      if (getBindings().some(b => b.gesture === e.gesture)) audioSystemRef.current.triggerPing(e.hand === 1 ? 1.5 : 1)
     }
-  }, [detectedGesture, audioStarted]);
+    gestureEvents.addEventListener('gesturestart', handleGestureStart)
+    return () => gestureEvents.removeEventListener('gesturestart', handleGestureStart)
+  }, [gestureEvents])
 
   // Render Loop Effect
   useEffect(() => {
     if (!rendererRef.current || !sceneRef.current || !cameraRef.current || !particleSystemRef.current) return;
 
     const clock = new THREE.Clock()
+    let previousTime = 0
 
     const animate = () => {
       const time = clock.getElapsedTime()
+      const delta = time - previousTime
+      previousTime = time
+      qualityRef.current.update(delta)
 
-      // Input Mapping
+      // Input Mapping: one entry per tracked hand
       const handData = handDataRef.current
-      const inputState = {
-        active: false,
-        x: 0,
-        y: 0,
-        gesture: detectedGesture,
-        mouseHover: false
-      }
+      const inputState = { hands: [] }
 
       // --- HAND LOGIC ---
       if (handData && handData.hands.length > 0) {
-        const hand = handData.hands[0]
-        inputState.active = true
-        inputState.x = hand.x;
-        inputState.y = hand.y;
-
-        // Pinch Detection for Physics (Thumb Tip to Index Tip)
-        // hand.rawLandmarks is available in handDataRef from hook
-        const landmarks = handData.rawLandmarks[0]; // First hand
-        if (landmarks) {
-          const thumbTip = landmarks[4];
-          const indexTip = landmarks[8];
-          // Simple dist check
-          const dist = Math.sqrt(Math.pow(thumbTip.x - indexTip.x, 2) + Math.pow(thumbTip.y - indexTip.y, 2));
-
-          // Threshold 0.05 is roughly touching
-          if (dist < 0.06) {
-            // Pass a special flag or override gesture for physics? 
-            // ParticleSystem checks 'gesture === OPEN' for repel. 
-            // We need to clarify interaction.
-            // Let's pass 'PINCH' as a separate prop if needed, or rely on OPEN logic.
-            // Wait, ParticleSystem update() checks `inputState.gesture === 'OPEN'` for repel.
-            // And default is attract (or pinch).
-            // So if we are NOT OPEN, we attract if `active` is true.
-            // But we only want to attract if PINCHING.
-            // So let's add `inputState.isPinching`.
-            inputState.isPinching = true;
-          } else {
-            inputState.isPinching = false;
-          }
+        handData.hands.forEach((hand) => {
+          // What the hand does while held comes from the binding table
+          const action = continuousAction(hand.gestures);
+          // A pinch attracts to the point between the fingertips, as hard as it squeezes
+          const pinched = action === 'ATTRACT' && hand.isPinching;
+          const position = pinched ? hand.pinchPoint : hand;
+          inputState.hands.push({
+            x: position.x,
+            y: position.y,
+            isPinching: action === 'ATTRACT',
+            pinchStrength: pinched ? hand.pinchStrength : 1,
+            gesture: HAND_GESTURES[action] ?? null
+          });
+        });
+      }
 
-          // Check for OPEN hand (5 fingers) for Repel
-          // detectedGesture has this info ("FIREWORKS" is 5 fingers?)
-          // If gesture is FIREWORKS, repel?
-          if (detectedGesture === 'FIREWORKS') {
-            inputState.gesture = 'OPEN'; // Force logic in ParticleSystem
+      // Gestures fired since the last frame
+      if (handData) {
+        const ps = particleSystemRef.current;
+        // Re-setting the current shape would restart its morph
+        const showShape = (name) => {
+          if (name !== ps.currentShape) ps.setShape(name);
+        };
+        handData.events.splice(0).forEach((event) => {
+          if (event.action === 'SET_SHAPE') {
+            if (getShape(event.shape)) showShape(event.shape);
+          } else if (SHAPE_STEPS[event.action]) {
+            showShape(getAdjacentShape(ps.currentShape, SHAPE_STEPS[event.action]).name);
+          } else if (event.action === 'SPIN') {
+            ps.spin(event.angularSpeed ?? DEFAULT_SPIN);
+          } else if (event.action === 'EXPLODE') {
+            ps.explode();
+          } else if (event.action === 'RESET') {
+            ps.resetTransform();
+            showShape(DEFAULT_SHAPE);
+          } else if (event.action === 'TOGGLE_AUDIO') {
+            audioSystemRef.current.toggleMute();
+          } else if (event.action === 'NEXT_PRESET') {
+            const presets = presetsRef.current;
+            presets.index = (presets.index + 1) % presets.list.length;
+            applyPreset(presets.list[presets.index].preset, getSystems());
+          } else if (event.action === 'SCREENSHOT') {
+            screenshotRef.current = true;
           }
-        }
+        });
       }
 
+      // Camera first, so hands map onto this frame's view
+      cameraControllerRef.current.update(delta, inputState.hands)
+
       // Update Particles
       particleSystemRef.current.update(time, inputState)
 
@@ -155,12 +294,17 @@ export default function App() {
       if (audioSystemRef.current && audioStarted) {
         // Modulate based on hand activity
         // If active, higher intensity. If pinching, maybe specific sound?
-        const intensity = inputState.active ? 0.8 : 0.2;
-        audioSystemRef.current.update(intensity, detectedGesture);
+        const intensity = inputState.hands.length > 0 ? 0.8 : 0.2;
+        audioSystemRef.current.update(intensity, particleSystemRef.current.currentShape);
       }
 
-      // Render
-      rendererRef.current.render(sceneRef.current, cameraRef.current)
+      // Render through the post-processing chain
+      postRef.current.render(delta)
+      if (screenshotRef.current) {
+        // Same task as the render, before the drawing buffer is cleared
+        screenshotRef.current = false
+        rendererRef.current.domElement.toBlob(blob => blob && downloadBlob(blob, 'particles.png'), 'image/png')
+      }
       frameIdRef.current = requestAnimationFrame(animate)
     }
 
@@ -176,7 +320,7 @@ export default function App() {
         frameIdRef.current = null;
       }
     }
-  }, [systemState, detectedGesture, audioStarted])
+  }, [systemState, audioStarted])
 
   const handleStartAudio = async () => {
     if (audioSystemRef.current && !audioStarted) {
@@ -186,6 +330,117 @@ export default function App() {
     }
   };
 
+  const handleQualitySelect = (tier) => {
+    if (qualityRef.current) qualityRef.current.setTier(tier)
+  }
+
+  // Presets: download / load a JSON file, or copy a link that carries the preset
+  const handlePresetExport = () => {
+    downloadJson(capturePreset(getSystems()), 'particles-preset.json')
+  }
+
+  const handlePresetImport = async (file) => {
+    try {
+      applyPreset(parsePreset(await file.text()), getSystems())
+      setBindingsState(getBindings())
+    } catch (err) {
+      console.error(`Failed to load preset "${file.name}":`, err)
+    }
+  }
+
+  const handlePresetShare = async () => {
+    const hash = presetToHash(capturePreset(getSystems()))
+    // replaceState: the settings are already live, no hashchange round trip
+    window.history.replaceState(null, '', hash)
+    try {
+      await navigator.clipboard.writeText(window.location.href)
+    } catch (err) {
+      console.warn('Could not copy the preset link:', err)
+    }
+  }
+
+  // Custom gestures: every change is saved to localStorage straight away
+  const commitCustomGestures = () => {
+    saveCustomGestures()
+    setCustomGestures(getCustomGestures())
+  }
+
+  const handleGestureRecord = async (name) => {
+    try {
+      const samples = await recordGesture(name)
+      addCustomGesture(name, samples)
+      commitCustomGestures()
+    } catch (err) {
+      console.error(`Failed to train "${name}":`, err)
+    }
+  }
+
+  // Gesture bindings: saved to localStorage on every change, like the gestures
+  const commitBindings = () => {
+    saveBindings()
+    setBindingsState(getBindings())
+  }
+
+  const handleGestureBind = (name, binding) => {
+    setGestureBinding(name, binding)
+    commitBindings()
+  }
+
+  const handleBindingsChange = (list) => {
+    try {
+      setBindings(list)
+      commitBindings()
+    } catch (err) {
+      console.error('Failed to update gesture bindings:', err)
+    }
+  }
+
+  const handleGestureDelete = (name) => {
+    removeCustomGesture(name)
+    setGestureBinding(name, null)
+    commitCustomGestures()
+    commitBindings()
+  }
+
+  const handleGestureExport = () => {
+    downloadJson(serializeCustomGestures(), 'particles-gestures.json')
+  }
+
+  const handleGestureImport = async (file) => {
+    try {
+      importCustomGestures(await file.text())
+      commitCustomGestures()
+      commitBindings()
+    } catch (err) {
+      console.error(`Failed to load gestures "${file.name}":`, err)
+    }
+  }
+
+  const handleTextSubmit = (text) => {
+    if (particleSystemRef.current) particleSystemRef.current.setText(text)
+  }
+
+  // Drag & Drop: PLY / OBJ / glTF models and images become a target shape
+  const handleDragOver = (e) => {
+    e.preventDefault()
+    e.dataTransfer.dropEffect = 'copy'
+  }
+
+  const handleDrop = async (e) => {
+    e.preventDefault()
+    const file = Array.from(e.dataTransfer.files).find(f => isModelFile(f) || isImageFile(f))
+    if (!file || !particleSystemRef.current) return
+
+    try {
+      const name = isModelFile(file)
+        ? await registerModelShape(file)
+        : await registerImageShape(file)
+      particleSystemRef.current.setShape(name)
+    } catch (err) {
+      console.error(`Failed to load "${file.name}":`, err)
+    }
+  }
+
   // Remove preloader from index.html if it exists (legacy cleanup)
   useEffect(() => {
     const preloader = document.getElementById('preloader');
@@ -197,6 +452,8 @@ export default function App() {
       {/* 3D Canvas - Always rendered but might be hidden behind overlay */}
       <div
         ref={mountRef}
+        onDragOver={handleDragOver}
+        onDrop={handleDrop}
         style={{ width: '100vw', height: '100vh', position: 'fixed', top: 0, left: 0, zIndex: 1 }}
       />
 
@@ -205,8 +462,27 @@ export default function App() {
         systemState={systemState}
         error={error}
         debugText={debugText}
-        detectedGesture={detectedGesture}
+        detectedGesture={shape}
+        gestureEvents={gestureEvents}
+        morphTarget={morphTarget}
+        fps={fps}
+        tracking={tracking}
+        quality={quality}
+        onQualitySelect={handleQualitySelect}
+        onPresetExport={handlePresetExport}
+        onPresetImport={handlePresetImport}
+        onPresetShare={handlePresetShare}
+        customGestures={customGestures}
+        recording={recording}
+        onGestureRecord={handleGestureRecord}
+        onGestureBind={handleGestureBind}
+        onGestureDelete={handleGestureDelete}
+        onGestureExport={handleGestureExport}
+        onGestureImport={handleGestureImport}
+        bindings={bindings}
+        onBindingsChange={handleBindingsChange}
         onStart={handleStartAudio}
+        onTextSubmit={handleTextSubmit}
       />
     </>
   )
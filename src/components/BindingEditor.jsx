@@ -0,0 +1,121 @@
+import React from 'react';
+import { getShapes, DEFAULT_SHAPE } from '../utils/shapeRegistry';
+import { ACTIONS, DEFAULT_BINDINGS, GESTURE_KEYS } from '../utils/gestureBindings';
+
+/**
+ * Edit the gesture binding table (see utils/gestureBindings). Every change
+ * goes straight to onChange with the whole new table.
+ */
+export const BindingEditor = ({ bindings, customGestures, onChange, onClose }) => {
+    const gestureKeys = [...customGestures.map(g => g.name), ...GESTURE_KEYS];
+
+    const update = (index, changes) => {
+        onChange(bindings.map((binding, i) => {
+            if (i !== index) return binding;
+            const next = { ...binding, ...changes };
+            // Keep the entry valid: shapes only for SET_SHAPE, holds only for discrete actions
+            if (next.action === 'SET_SHAPE') next.shape = next.shape ?? DEFAULT_SHAPE;
+            else delete next.shape;
+            if (!next.hold || ACTIONS[next.action].continuous) delete next.hold;
+            return next;
+        }));
+    };
+
+    const remove = (index) => onChange(bindings.filter((_, i) => i !== index));
+
+    const add = () => onChange([...bindings, { gesture: GESTURE_KEYS[0], action: 'SET_SHAPE', shape: DEFAULT_SHAPE }]);
+
+    return (
+        <div style={styles.panel}>
+            <div style={styles.header}>
+                <span>GESTURE_BINDINGS</span>
+                <button onClick={onClose} style={styles.closeBtn}>×</button>
+            </div>
+
+            <div style={styles.list}>
+                {bindings.map((binding, i) => (
+                    <div key={i} style={styles.row}>
+                        <select
+                            value={binding.gesture}
+                            onChange={(e) => update(i, { gesture: e.target.value })}
+                            style={styles.select}
+                        >
+                            {!gestureKeys.includes(binding.gesture) && (
+                                <option value={binding.gesture}>{binding.gesture}</option>
+                            )}
+                            {gestureKeys.map((gesture) => (
+                                <option key={gesture} value={gesture}>{gesture}</option>
+                            ))}
+                        </select>
+                        <select
+                            value={binding.action}
+                            onChange={(e) => update(i, { action: e.target.value })}
+                            style={styles.select}
+                        >
+                            {Object.entries(ACTIONS).map(([action, { label }]) => (
+                                <option key={action} value={action}>{label.toUpperCase()}</option>
+                            ))}
+                        </select>
+                        {binding.action === 'SET_SHAPE' && (
+                            <select
+                                value={binding.shape}
+                                onChange={(e) => update(i, { shape: e.target.value })}
+                                style={styles.select}
+                            >
+                                {getShapes().map((shape) => (
+                                    <option key={shape.name} value={shape.name}>{shape.name}</option>
+                                ))}
+                            </select>
+                        )}
+                        <input
+                            type="number"
+                            min={0}
+                            max={10}
+                            step={0.5}
+                            value={binding.hold ?? 0}
+                            disabled={Boolean(ACTIONS[binding.action].continuous)}
+                            onChange={(e) => update(i, { hold: Math.min(Math.max(Number(e.target.value) || 0, 0), 10) })}
+                            title="Hold for seconds"
+                            style={styles.hold}
+                        />
+                        <button onClick={() => remove(i)} style={styles.btn}>DEL</button>
+                    </div>
+                ))}
+            </div>
+
+            <div style={styles.row}>
+                <button onClick={add} style={styles.btn}>ADD</button>
+                <button onClick={() => onChange(DEFAULT_BINDINGS)} style={styles.btn}>RESET</button>
+            </div>
+        </div>
+    );
+};
+
+const styles = {
+    panel: {
+        position: 'absolute', bottom: '80px', right: '20px', width: '520px',
+        background: 'rgba(0,0,0,0.85)', border: '1px solid #00ffff', padding: '12px',
+        fontFamily: 'monospace', fontSize: '12px', color: '#00ffff',
+        display: 'flex', flexDirection: 'column', gap: '8px',
+        pointerEvents: 'auto'
+    },
+    header: { display: 'flex', justifyContent: 'space-between', alignItems: 'center', letterSpacing: '2px' },
+    list: { display: 'flex', flexDirection: 'column', gap: '4px', maxHeight: '50vh', overflowY: 'auto' },
+    row: { display: 'flex', alignItems: 'center', gap: '6px' },
+    select: {
+        flex: 1, minWidth: 0, background: '#000', color: '#00ffff', border: '1px solid #00ffff',
+        fontFamily: 'monospace', fontSize: '11px'
+    },
+    hold: {
+        width: '44px', background: '#000', color: '#00ffff', border: '1px solid #00ffff',
+        fontFamily: 'monospace', fontSize: '11px'
+    },
+    btn: {
+        background: 'rgba(0, 255, 255, 0.1)', color: '#00ffff', border: '1px solid #00ffff',
+        padding: '4px 8px', cursor: 'pointer', fontFamily: 'monospace'
+    },
+    closeBtn: {
+        background: 'transparent', color: '#00ffff', border: 'none',
+        cursor: 'pointer', fontFamily: 'monospace', fontSize: '16px'
+    }
+};
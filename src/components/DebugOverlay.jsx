@@ -8,14 +8,14 @@ export const DebugOverlay = ({ handDataRef }) => {
         const interval = setInterval(() => {
             if (!handDataRef.current) return
 
-            const { hands, distance, isHandshake } = handDataRef.current
+            const { hands, distance, isHandshake, gesture } = handDataRef.current
 
             if (hands.length === 0) {
                 setStatus('No hands detected')
             } else if (hands.length === 1) {
-                setStatus('1 hand detected')
+                setStatus(`1 hand detected | Gesture: ${gesture}`)
             } else {
-                setStatus(`2 hands detected | Distance: ${distance.toFixed(3)} | Handshake: ${isHandshake}`)
+                setStatus(`2 hands detected | Distance: ${distance.toFixed(3)} | Handshake: ${isHandshake} | Gesture: ${gesture}`)
             }
 
             // Draw debug dots on canvas
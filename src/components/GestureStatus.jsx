@@ -0,0 +1,76 @@
+import React, { useEffect, useState } from 'react';
+import { describeGesture, FINGER_KEYS } from '../utils/gestureBindings';
+
+const slotOf = (e) => (e.hand === null ? 'BOTH' : String(e.hand));
+
+/**
+ * What each hand is doing and for how long, from the gesture events (see
+ * systems/GestureEvents). Re-renders only when a gesture starts or ends and
+ * once per held second, not every frame. Finger counts are left out; the
+ * pose label already says as much.
+ */
+export const GestureStatus = ({ gestureEvents }) => {
+    const [slots, setSlots] = useState({}); // slot -> { handedness, gestures: { name: whole seconds held } }
+
+    useEffect(() => {
+        const handleHeld = (e) => {
+            if (FINGER_KEYS.includes(e.gesture)) return;
+            const seconds = Math.floor(e.duration);
+            setSlots((current) => {
+                const slot = current[slotOf(e)];
+                if (slot && slot.gestures[e.gesture] === seconds) return current;
+                const gestures = { ...(slot ? slot.gestures : {}), [e.gesture]: seconds };
+                return { ...current, [slotOf(e)]: { handedness: e.handedness, gestures } };
+            });
+        };
+        const handleEnd = (e) => {
+            setSlots((current) => {
+                const slot = current[slotOf(e)];
+                if (!slot || slot.gestures[e.gesture] === undefined) return current;
+                const gestures = { ...slot.gestures };
+                delete gestures[e.gesture];
+                return { ...current, [slotOf(e)]: { ...slot, gestures } };
+            });
+        };
+        const handleLeave = (e) => {
+            setSlots((current) => {
+                const next = { ...current };
+                delete next[slotOf(e)];
+                return next;
+            });
+        };
+
+        gestureEvents.addEventListener('gesturestart', handleHeld);
+        gestureEvents.addEventListener('gesturehold', handleHeld);
+        gestureEvents.addEventListener('gestureend', handleEnd);
+        gestureEvents.addEventListener('handleave', handleLeave);
+        return () => {
+            gestureEvents.removeEventListener('gesturestart', handleHeld);
+            gestureEvents.removeEventListener('gesturehold', handleHeld);
+            gestureEvents.removeEventListener('gestureend', handleEnd);
+            gestureEvents.removeEventListener('handleave', handleLeave);
+        };
+    }, [gestureEvents]);
+
+    const lines = Object.entries(slots)
+        .filter(([, slot]) => Object.keys(slot.gestures).length > 0)
+        .sort(([a], [b]) => a.localeCompare(b))
+        .map(([key, slot]) => {
+            const who = key === 'BOTH' ? 'BOTH' : (slot.handedness ?? `HAND ${Number(key) + 1}`).toUpperCase();
+            const what = Object.entries(slot.gestures)
+                .map(([name, seconds]) => `${describeGesture(name)}${seconds > 0 ? ` ${seconds}s` : ''}`)
+                .join(' · ');
+            return { key, text: `${who}: ${what}` };
+        });
+
+    if (lines.length === 0) return null;
+    return (
+        <div style={styles.status}>
+            {lines.map(({ key, text }) => <div key={key}>{text}</div>)}
+        </div>
+    );
+};
+
+const styles = {
+    status: { fontSize: '10px', opacity: 0.7, marginTop: '5px', letterSpacing: '1px' }
+};
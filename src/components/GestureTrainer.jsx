@@ -0,0 +1,142 @@
+import React, { useRef, useState } from 'react';
+import { getShapes } from '../utils/shapeRegistry';
+import { CUSTOM_SETTINGS } from '../utils/customGestures';
+import { ACTIONS, GESTURE_KEYS } from '../utils/gestureBindings';
+
+const OTHER_ACTIONS = Object.keys(ACTIONS).filter(action => action !== 'SET_SHAPE');
+
+// Bindings as <select> values: '' (none), 'SET_SHAPE:NAME' or the action
+const bindingToValue = (binding) => {
+    if (!binding) return '';
+    return binding.action === 'SET_SHAPE' ? `SET_SHAPE:${binding.shape}` : binding.action;
+};
+
+const valueToBinding = (value) => {
+    if (!value) return null;
+    const [action, shape] = value.split(':');
+    return shape ? { action, shape } : { action };
+};
+
+/**
+ * Record, label and bind custom gestures (see utils/customGestures). A
+ * gesture bound more than once shows its first binding; see BindingEditor.
+ */
+export const GestureTrainer = ({ gestures, bindings, recording, onRecord, onBind, onDelete, onExport, onImport, onClose }) => {
+    const [name, setName] = useState('');
+    const fileInputRef = useRef(null);
+    // Built-in names are refused by addCustomGesture; say so before recording
+    const builtIn = GESTURE_KEYS.includes(name.trim().toUpperCase());
+    const canRecord = Boolean(name.trim()) && !builtIn;
+
+    const handleRecord = () => {
+        if (!canRecord) return;
+        onRecord(name.trim());
+        setName('');
+    };
+
+    const handleFile = (e) => {
+        const file = e.target.files[0];
+        if (file) onImport(file);
+        e.target.value = '';
+    };
+
+    return (
+        <div style={styles.panel}>
+            <div style={styles.header}>
+                <span>CUSTOM_GESTURES</span>
+                <button onClick={onClose} style={styles.closeBtn}>×</button>
+            </div>
+
+            <div style={styles.row}>
+                <input
+                    value={name}
+                    onChange={(e) => setName(e.target.value)}
+                    onKeyDown={(e) => e.key === 'Enter' && handleRecord()}
+                    placeholder="LABEL"
+                    maxLength={32}
+                    disabled={Boolean(recording)}
+                    style={styles.input}
+                />
+                <button
+                    onClick={handleRecord}
+                    disabled={Boolean(recording) || !canRecord}
+                    title={builtIn ? 'Built-in gesture name' : undefined}
+                    style={styles.btn}
+                >
+                    RECORD
+                </button>
+            </div>
+            {recording && (
+                <div style={styles.recording}>
+                    HOLD “{recording}” FOR {CUSTOM_SETTINGS.recordTime}S...
+                </div>
+            )}
+
+            {gestures.length === 0 && <div style={styles.empty}>Nothing trained yet.</div>}
+            {gestures.map((gesture) => (
+                <div key={gesture.name} style={styles.row}>
+                    <span style={styles.name}>{gesture.name}</span>
+                    <span style={styles.count}>{gesture.samples.length}</span>
+                    <select
+                        value={bindingToValue(bindings.find(b => b.gesture === gesture.name))}
+                        onChange={(e) => onBind(gesture.name, valueToBinding(e.target.value))}
+                        style={styles.select}
+                    >
+                        <option value="">— UNBOUND —</option>
+                        {getShapes().map((shape) => (
+                            <option key={shape.name} value={`SET_SHAPE:${shape.name}`}>SHAPE: {shape.name}</option>
+                        ))}
+                        {OTHER_ACTIONS.map((action) => (
+                            <option key={action} value={action}>ACTION: {action}</option>
+                        ))}
+                    </select>
+                    <button onClick={() => onDelete(gesture.name)} style={styles.btn}>DEL</button>
+                </div>
+            ))}
+
+            <div style={styles.row}>
+                <button onClick={onExport} style={styles.btn}>EXPORT</button>
+                <button onClick={() => fileInputRef.current.click()} style={styles.btn}>IMPORT</button>
+                <input
+                    ref={fileInputRef}
+                    type="file"
+                    accept="application/json,.json"
+                    onChange={handleFile}
+                    style={{ display: 'none' }}
+                />
+            </div>
+        </div>
+    );
+};
+
+const styles = {
+    panel: {
+        position: 'absolute', bottom: '80px', right: '20px', width: '340px',
+        background: 'rgba(0,0,0,0.85)', border: '1px solid #00ffff', padding: '12px',
+        fontFamily: 'monospace', fontSize: '12px', color: '#00ffff',
+        display: 'flex', flexDirection: 'column', gap: '8px',
+        pointerEvents: 'auto'
+    },
+    header: { display: 'flex', justifyContent: 'space-between', alignItems: 'center', letterSpacing: '2px' },
+    row: { display: 'flex', alignItems: 'center', gap: '6px' },
+    input: {
+        flex: 1, background: 'rgba(0,0,0,0.8)', color: '#00ffff', border: '1px solid #00ffff',
+        fontFamily: 'monospace', fontSize: '12px', padding: '4px'
+    },
+    select: {
+        flex: 1, minWidth: 0, background: '#000', color: '#00ffff', border: '1px solid #00ffff',
+        fontFamily: 'monospace', fontSize: '11px'
+    },
+    btn: {
+        background: 'rgba(0, 255, 255, 0.1)', color: '#00ffff', border: '1px solid #00ffff',
+        padding: '4px 8px', cursor: 'pointer', fontFamily: 'monospace'
+    },
+    closeBtn: {
+        background: 'transparent', color: '#00ffff', border: 'none',
+        cursor: 'pointer', fontFamily: 'monospace', fontSize: '16px'
+    },
+    name: { width: '90px', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap', color: '#fff' },
+    count: { opacity: 0.5, width: '22px', textAlign: 'right' },
+    recording: { color: '#ff3355', letterSpacing: '1px' },
+    empty: { opacity: 0.5 }
+};
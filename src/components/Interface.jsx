@@ -1,9 +1,21 @@
-import React, { useState, useEffect } from 'react';
+import React, { useRef, useState } from 'react';
 import { SystemState } from '../types/SystemState';
+import { DEFAULT_SHAPE, getShape } from '../utils/shapeRegistry';
+import { QUALITY_TIERS } from '../systems/QualityController';
+import { describeBindings } from '../utils/gestureBindings';
+import { GestureTrainer } from './GestureTrainer';
+import { BindingEditor } from './BindingEditor';
+import { GestureStatus } from './GestureStatus';
 
-export const Interface = ({ systemState, error, debugText, detectedGesture, onStart }) => {
+const TIER_NAMES = Object.keys(QUALITY_TIERS);
+
+export const Interface = ({ systemState, error, debugText, detectedGesture, morphTarget, fps, tracking, quality, onStart, onTextSubmit, onQualitySelect, onPresetExport, onPresetImport, onPresetShare, customGestures, recording, onGestureRecord, onGestureBind, onGestureDelete, onGestureExport, onGestureImport, bindings, onBindingsChange, gestureEvents }) => {
     const [started, setStarted] = useState(false);
     const [showHelp, setShowHelp] = useState(false);
+    const [showTrainer, setShowTrainer] = useState(false);
+    const [showBindings, setShowBindings] = useState(false);
+    const [text, setText] = useState(getShape('TEXT').params.text);
+    const presetInputRef = useRef(null);
 
     // Auto-start if already started (persisted?) - Nah, let's force click for Audio context.
 
@@ -14,6 +26,25 @@ export const Interface = ({ systemState, error, debugText, detectedGesture, onSt
 
     const toggleHelp = () => setShowHelp(!showHelp);
 
+    const handlePresetFile = (e) => {
+        const file = e.target.files[0];
+        if (file) onPresetImport(file);
+        e.target.value = ''; // Allow loading the same file again
+    };
+
+    const cycleQuality = () => {
+        const next = TIER_NAMES[(TIER_NAMES.indexOf(quality.tier) + 1) % TIER_NAMES.length];
+        onQualitySelect(next);
+    };
+
+    // Enter spells the text, Shift+Enter adds a line
+    const handleTextKeyDown = (e) => {
+        if (e.key === 'Enter' && !e.shiftKey) {
+            e.preventDefault();
+            onTextSubmit(text);
+        }
+    };
+
     // 1. LOADING / ERROR SCREEN
     if (systemState !== SystemState.READY) {
         return (
@@ -62,8 +93,24 @@ export const Interface = ({ systemState, error, debugText, detectedGesture, onSt
                     <span style={styles.label}>SYS:</span> <span style={styles.value}>ONLINE</span>
                 </div>
                 <div style={styles.statusLine}>
-                    <span style={styles.label}>FPS:</span> <span style={styles.value}>60</span>
+                    <span style={styles.label}>FPS:</span> <span style={styles.value}>{fps}</span>
                 </div>
+                {tracking && (
+                    <div style={styles.statusLine}>
+                        <span style={styles.label}>TRACK:</span>{' '}
+                        <span style={styles.value}>{tracking.backend.toUpperCase()} {tracking.fps}FPS {tracking.latency}MS</span>
+                        {tracking.dropped > 0 && <span style={styles.label}> -{tracking.dropped}</span>}
+                    </div>
+                )}
+                {quality && (
+                    <div style={styles.statusLine}>
+                        <span style={styles.label}>QUALITY:</span>{' '}
+                        <button onClick={cycleQuality} style={styles.qualityBtn}>
+                            {quality.tier.toUpperCase()}
+                        </button>{' '}
+                        <span style={styles.label}>{(quality.size * quality.size / 1000).toFixed(0)}K @{quality.pixelRatio}x</span>
+                    </div>
+                )}
                 <div style={styles.statusLine}>
                     <span style={styles.label}>AI:</span> <span style={styles.value}>{debugText}</span>
                 </div>
@@ -73,27 +120,81 @@ export const Interface = ({ systemState, error, debugText, detectedGesture, onSt
             <div style={styles.gesturePanel}>
                 <div style={styles.gestureLabel}>DETECTED PATTERN</div>
                 <div style={styles.gestureValue}>{detectedGesture}</div>
+                {morphTarget && <div style={styles.morphStatus}>MORPHING → {morphTarget}</div>}
+                <GestureStatus gestureEvents={gestureEvents} />
+            </div>
+
+            {/* Bottom Left: Text Shape */}
+            <div style={styles.textPanel}>
+                <div style={styles.gestureLabel}>TEXT_SHAPE</div>
+                <textarea
+                    value={text}
+                    onChange={(e) => setText(e.target.value)}
+                    onKeyDown={handleTextKeyDown}
+                    rows={2}
+                    style={styles.textInput}
+                />
+                <button onClick={() => onTextSubmit(text)} style={styles.textBtn}>
+                    SPELL
+                </button>
             </div>
 
             {/* Bottom Right: Controls/Help */}
             <div style={styles.footer}>
+                <button onClick={onPresetExport} style={styles.presetBtn}>SAVE</button>
+                <button onClick={() => presetInputRef.current.click()} style={styles.presetBtn}>LOAD</button>
+                <button onClick={onPresetShare} style={styles.presetBtn}>SHARE</button>
+                <input
+                    ref={presetInputRef}
+                    type="file"
+                    accept="application/json,.json"
+                    onChange={handlePresetFile}
+                    style={{ display: 'none' }}
+                />
+                <button onClick={() => setShowTrainer(!showTrainer)} style={styles.presetBtn}>TRAIN</button>
+                <button onClick={() => setShowBindings(!showBindings)} style={styles.presetBtn}>BINDINGS</button>
                 <button onClick={toggleHelp} style={styles.iconBtn}>
                     ? HELP
                 </button>
             </div>
 
+            {showTrainer && (
+                <GestureTrainer
+                    gestures={customGestures}
+                    bindings={bindings}
+                    recording={recording}
+                    onRecord={onGestureRecord}
+                    onBind={onGestureBind}
+                    onDelete={onGestureDelete}
+                    onExport={onGestureExport}
+                    onImport={onGestureImport}
+                    onClose={() => setShowTrainer(false)}
+                />
+            )}
+
+            {showBindings && (
+                <BindingEditor
+                    bindings={bindings}
+                    customGestures={customGestures}
+                    onChange={onBindingsChange}
+                    onClose={() => setShowBindings(false)}
+                />
+            )}
+
             {/* Help Overlay */}
             {showHelp && (
                 <div style={styles.helpOverlay} onClick={toggleHelp}>
                     <div style={styles.helpContent}>
                         <h2>COMMAND_LIST</h2>
                         <ul>
-                            <li><strong>0-1 Fingers:</strong> SPHERE (Idle)</li>
-                            <li><strong>2 Fingers:</strong> FLOWER</li>
-                            <li><strong>3 Fingers:</strong> SATURN</li>
-                            <li><strong>4 Fingers:</strong> HEART</li>
-                            <li><strong>5 Fingers:</strong> FIREWORKS / REPEL</li>
-                            <li><strong>PINCH:</strong> ATTRACT PARTICLES</li>
+                            <li><strong>NO HAND:</strong> {DEFAULT_SHAPE}</li>
+                            {describeBindings(bindings).map(({ trigger, label }) => (
+                                <li key={label}><strong>{trigger}:</strong> {label}</li>
+                            ))}
+                            <li><strong>TRAIN:</strong> RECORD YOUR OWN GESTURES</li>
+                            <li><strong>BINDINGS:</strong> CHANGE WHAT GESTURES DO</li>
+                            <li><strong>DRAG / SCROLL:</strong> ORBIT / ZOOM</li>
+                            <li><strong>DROP MODEL / IMAGE:</strong> MORPH TO FILE</li>
                         </ul>
                         <div style={styles.closeHelp}>[ CLICK TO CLOSE ]</div>
                     </div>
@@ -148,6 +249,11 @@ const styles = {
     statusLine: { marginBottom: '5px', fontSize: '12px', textShadow: '1px 1px 2px black' },
     label: { opacity: 0.7 },
     value: { fontWeight: 'bold' },
+    qualityBtn: {
+        background: 'transparent', color: '#00ffff', border: 'none', padding: 0,
+        cursor: 'pointer', fontFamily: 'monospace', fontSize: '12px', fontWeight: 'bold',
+        textDecoration: 'underline', pointerEvents: 'auto'
+    },
 
     gesturePanel: {
         position: 'absolute', top: '20px', left: '50%', transform: 'translateX(-50%)',
@@ -159,11 +265,32 @@ const styles = {
     },
     gestureLabel: { fontSize: '10px', opacity: 0.7, marginBottom: '5px' },
     gestureValue: { fontSize: '24px', fontWeight: 'bold', letterSpacing: '2px', color: '#fff' },
+    morphStatus: { fontSize: '10px', opacity: 0.7, marginTop: '5px' },
+
+    textPanel: {
+        position: 'absolute', bottom: '20px', left: '20px',
+        display: 'flex', flexDirection: 'column', gap: '5px',
+        pointerEvents: 'auto'
+    },
+    textInput: {
+        background: 'rgba(0,0,0,0.8)', color: '#00ffff', border: '1px solid #00ffff',
+        fontFamily: 'monospace', fontSize: '14px', padding: '6px', width: '200px',
+        resize: 'none'
+    },
+    textBtn: {
+        background: 'rgba(0, 255, 255, 0.1)', color: '#00ffff', border: '1px solid #00ffff',
+        padding: '6px 12px', cursor: 'pointer', fontFamily: 'monospace', letterSpacing: '2px'
+    },
 
     footer: {
         position: 'absolute', bottom: '20px', right: '20px',
+        display: 'flex', alignItems: 'center', gap: '8px',
         pointerEvents: 'auto'
     },
+    presetBtn: {
+        background: 'rgba(0,0,0,0.8)', color: '#00ffff', border: '1px solid #00ffff',
+        padding: '6px 10px', cursor: 'pointer', fontFamily: 'monospace', letterSpacing: '1px'
+    },
     iconBtn: {
         background: 'rgba(0,0,0,0.8)', color: '#00ffff', border: '1px solid #00ffff',
         borderRadius: '50%', width: '40px', height: '40px',
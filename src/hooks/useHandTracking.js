@@ -1,6 +1,17 @@
 import { useRef, useEffect, useState } from 'react'
 import { SystemState } from '../types/SystemState'
-import { detectGesture } from '../utils/gestureDetection'
+import { analyzeHands, createPinchTracker, measurePinch, physicalHandedness } from '../utils/gestureDetection'
+import { createMotionTracker, toMotionSample } from '../utils/motionGestures'
+import { createGestureRecorder, extractFeatures, matchCustomGesture } from '../utils/customGestures'
+import { bindingsFor, createBindingTracker, handGestures, PINCH_END, PINCH_START } from '../utils/gestureBindings'
+import { createHandSmoother, createLabelSmoother } from '../utils/gestureSmoothing'
+import { GestureEvents } from '../systems/GestureEvents'
+import { createMainThreadTracker, createWorkerTracker } from '../utils/handTrackingBackends'
+
+const MAX_HANDS = 2
+
+// Image coordinates -> hand coordinates (-1 to 1, mirrored, y up)
+const toHandPosition = (p) => ({ x: (1.0 - p.x) * 2.0 - 1.0, y: (1.0 - p.y) * 2.0 - 1.0 })
 
 /**
  * useHandTracking - Validated State Machine Edition
@@ -9,24 +20,51 @@ import { detectGesture } from '../utils/gestureDetection'
 export const useHandTracking = () => {
     const handDataRef = useRef({
         hands: [],
-        rawLandmarks: [],
-        distance: 999,
-        isHandshake: false
+        landmarks: [],    // Filtered, see gestureSmoothing
+        rawLandmarks: [], // As MediaPipe reported them
+        distance: Infinity,
+        isHandshake: false,
+        gesture: null, // Two-hand gesture when there is one, else the primary hand's
+        confidence: 0,
+        events: [] // Fired gestures ({ gesture, action, hand, ... }; action null when unbound) waiting for the render loop, which drains it
     })
 
     const videoRef = useRef(null)
     const initRef = useRef(false)
-    const cameraRef = useRef(null)
+    const trackerRef = useRef(null) // Running backend, see handTrackingBackends
 
     // Explicit State Machine
     const [systemState, setSystemState] = useState(SystemState.BOOTSTRAP)
+    const stateRef = useRef(SystemState.BOOTSTRAP) // For callbacks, which would see a stale systemState
     const [error, setError] = useState(null)
     const [debugText, setDebugText] = useState('SYSTEM BOOT...')
+    const [tracking, setTracking] = useState(null) // { backend, fps, latency, dropped }, once a second
+
+    // Gestures: lifecycle events for subscribers, fired bindings for the render loop
+    const [gestureEvents] = useState(() => new GestureEvents())
+    const bindingTrackerRef = useRef(createBindingTracker())
+    // One per hand slot; a slot starts over when the hand in it changes
+    const smoothersRef = useRef(Array.from({ length: MAX_HANDS }, () => ({
+        smoother: createHandSmoother(),
+        pinch: createPinchTracker(),
+        handedness: null
+    })))
+    const twoHandSmootherRef = useRef(createLabelSmoother())
+    const motionTrackersRef = useRef(Array.from({ length: MAX_HANDS }, () => createMotionTracker()))
 
-    // Gesture Smoothing
-    const [detectedGesture, setDetectedGesture] = useState('SPHERE')
-    const gestureBufferRef = useRef([])
-    const GESTURE_CONFIDENCE_THRESHOLD = 15; // Frames
+    // Custom gesture recording: the primary hand's pose for a few seconds
+    const recorderRef = useRef(null)
+    const [recording, setRecording] = useState(null) // Gesture name while recording
+
+    /**
+     * Record the primary hand's pose.
+     * @param {string} name - Label shown while recording
+     * @returns {Promise<number[][]>} Feature vectors, see extractFeatures; rejects when the hand is lost
+     */
+    const recordGesture = (name) => new Promise((resolve, reject) => {
+        recorderRef.current = { recorder: createGestureRecorder(), resolve, reject };
+        setRecording(name);
+    })
 
     useEffect(() => {
         if (initRef.current) return;
@@ -39,7 +77,8 @@ export const useHandTracking = () => {
         };
 
         const transition = (newState) => {
-            log(`Transition: ${systemState} -> ${newState}`);
+            log(`Transition: ${stateRef.current} -> ${newState}`);
+            stateRef.current = newState;
             setSystemState(newState);
         };
 
@@ -47,136 +86,224 @@ export const useHandTracking = () => {
             log(`CRITICAL FAILURE: ${msg}`);
             console.error(err);
             setError(`${msg}: ${err?.message || 'Unknown Error'}`);
+            stateRef.current = SystemState.ERROR;
             setSystemState(SystemState.ERROR);
         };
 
-        // --- ASYNC INIT SEQUENCE ---
-        const startSystem = async () => {
-            try {
-                transition(SystemState.LOADING_ASSETS);
+        // Results from either backend, in the legacy Hands shape
+        const handleResults = (results) => {
+            // Queue for the render loop, which carries out the actions (no React state involved)
+            const fire = (event) => handDataRef.current.events.push(event);
+
+            // Instant gestures (motion, pinch start / end): their bindings, or the bare event when unbound
+            const emit = (event) => {
+                const bound = bindingsFor(event.gesture);
+                if (bound.length === 0) fire({ ...event, action: null });
+                bound.forEach(binding => fire({ ...event, ...binding }));
+            };
+
+            // A slot's hand is gone or another one: start over, ending its pinch
+            const resetSlot = (slot, hand, handedness) => {
+                slot.smoother.reset();
+                if (slot.pinch.reset()) emit({ gesture: PINCH_END, hand });
+                slot.handedness = handedness;
+            };
+
+            // Update Refs
+            if (results.multiHandLandmarks && results.multiHandLandmarks.length > 0) {
+                const now = performance.now() / 1000;
+                const raw = results.multiHandLandmarks.slice(0, MAX_HANDS);
+                const handedness = raw.map((l, i) =>
+                    physicalHandedness(results.multiHandedness && results.multiHandedness[i]));
 
-                // 1. Verify/Poll for CDN Globals (timeout 3s)
-                const waitForGlobals = () => new Promise((resolve, reject) => {
-                    const check = () => {
-                        if (window.Hands && window.Camera) return resolve();
-                        if (performance.now() > 5000) return reject(new Error("Timeout waiting for MediaPipe globals."));
-                        requestAnimationFrame(check);
+                // --- FILTERING ---
+                const slots = smoothersRef.current;
+                slots.forEach((slot, i) => {
+                    if (i < raw.length && slot.handedness === handedness[i]) return;
+                    resetSlot(slot, i, i < raw.length ? handedness[i] : null);
+                });
+                const landmarks = raw.map((l, i) => slots[i].smoother.landmarks.filter(l, now));
+                const analysis = analyzeHands(landmarks, { handedness });
+
+                // --- GESTURE SMOOTHING ---
+                // Votes over the last few frames, so one noisy frame changes nothing
+                const hands = landmarks.map((l, i) => {
+                    const match = matchCustomGesture(l, { handedness: handedness[i] });
+                    const { gesture, confidence, fingers, custom } = slots[i].smoother.update(analysis.hands[i], match);
+                    const pinch = measurePinch(l);
+                    const { isPinching, started, ended } = slots[i].pinch.update(pinch.strength);
+                    const pinchPoint = toHandPosition(pinch.point);
+                    if (started) emit({ gesture: PINCH_START, hand: i, point: pinchPoint, strength: pinch.strength });
+                    if (ended) emit({ gesture: PINCH_END, hand: i, point: pinchPoint });
+
+                    const hand = {
+                        ...toHandPosition(l[9]),
+                        z: 0,
+                        fingers,    // null until a count is settled
+                        gesture,    // e.g. 'FIST', 'PEACE', or a count ('THREE') when unsure
+                        confidence, // 0-1 vote share
+                        handedness: handedness[i],
+                        custom,     // Trained gesture, see customGestures
+                        isPinching, // With hysteresis, see createPinchTracker
+                        pinchStrength: pinch.strength, // 0-1, continuous
+                        pinchPoint  // Between thumb and index tips
                     };
-                    check();
+                    hand.gestures = handGestures(hand); // Binding table keys, most specific first
+                    return hand;
                 });
+                const twoHand = twoHandSmootherRef.current.update(
+                    analysis.twoHand ? analysis.twoHand.gesture : null,
+                    analysis.twoHand ? analysis.twoHand.confidence : 0
+                );
 
-                try {
-                    await waitForGlobals();
-                } catch (e) {
-                    throw new Error("MediaPipe globals (Hands/Camera) not found. Check Internet/CDN.");
-                }
+                handDataRef.current = {
+                    hands,
+                    landmarks,
+                    rawLandmarks: raw,
+                    distance: analysis.distance,
+                    isHandshake: analysis.isHandshake,
+                    gesture: twoHand.label ?? hands[0].gesture,
+                    confidence: twoHand.label ? twoHand.confidence : hands[0].confidence,
+                    events: handDataRef.current.events
+                };
 
-                transition(SystemState.INITIALIZING_AI);
+                gestureEvents.update(hands, twoHand, now);
 
-                // 2. Initialize Hands
-                const hands = new window.Hands({
-                    locateFile: (file) => `https://cdn.jsdelivr.net/npm/@mediapipe/hands/${file}`,
+                // --- MOTION GESTURES ---
+                landmarks.forEach((l, hand) => {
+                    const motion = motionTrackersRef.current[hand].push(toMotionSample(l, now));
+                    if (motion) emit({ ...motion, hand });
                 });
 
-                hands.setOptions({
-                    maxNumHands: 2,
-                    modelComplexity: 0,
-                    minDetectionConfidence: 0.6,
-                    minTrackingConfidence: 0.6,
-                });
+                // --- HELD GESTURES ---
+                // Two-hand gesture first, then each hand's, most specific first
+                const shown = hands.flatMap(h => h.gestures);
+                if (twoHand.label) shown.unshift(twoHand.label);
+                bindingTrackerRef.current.update(shown, now).forEach(binding => fire({ ...binding }));
 
-                hands.onResults((results) => {
-                    // Update Refs
-                    if (results.multiHandLandmarks && results.multiHandLandmarks.length > 0) {
-                        handDataRef.current = {
-                            hands: results.multiHandLandmarks.map(l => ({
-                                x: (1.0 - l[9].x) * 2.0 - 1.0,
-                                y: (1.0 - l[9].y) * 2.0 - 1.0,
-                                z: 0
-                            })),
-                            rawLandmarks: results.multiHandLandmarks,
-                            distance: 999
-                        };
-
-                        // --- GESTURE SMOOTHING ---
-                        const instantaneousGesture = detectGesture(results.multiHandLandmarks);
-                        gestureBufferRef.current.push(instantaneousGesture);
-
-                        if (gestureBufferRef.current.length > GESTURE_CONFIDENCE_THRESHOLD) {
-                            gestureBufferRef.current.shift();
-                        }
+                if (recorderRef.current) {
+                    const { recorder, resolve } = recorderRef.current;
+                    const features = extractFeatures(landmarks[0], { handedness: handedness[0] });
+                    if (recorder.push(features, now)) {
+                        recorderRef.current = null;
+                        setRecording(null);
+                        resolve(recorder.samples);
+                    }
+                }
+
+            } else {
+                if (recorderRef.current) {
+                    recorderRef.current.reject(new Error("Hand lost before the recording finished"));
+                    recorderRef.current = null;
+                    setRecording(null);
+                }
+                bindingTrackerRef.current.reset();
+                motionTrackersRef.current.forEach(tracker => tracker.reset());
+                smoothersRef.current.forEach((slot, i) => resetSlot(slot, i, null));
+                twoHandSmootherRef.current.reset();
+                gestureEvents.clear(performance.now() / 1000);
+                handDataRef.current.hands = [];
+                handDataRef.current.landmarks = [];
+                handDataRef.current.distance = Infinity;
+                handDataRef.current.isHandshake = false;
+                handDataRef.current.gesture = null;
+                handDataRef.current.confidence = 0;
+            }
+        };
+
+        const callbacks = { onResults: handleResults, onStats: setTracking };
+
+        // Set on unmount: whatever starts after that is stopped straight away
+        let cancelled = false;
+        const stopStream = (stream) => stream.getTracks().forEach(t => t.stop());
+        const keepTracker = (tracker) => {
+            if (cancelled) tracker.stop();
+            else trackerRef.current = tracker;
+        };
+
+        const startMainThread = async (video) => {
+            log("Tracking on the main thread...");
+            keepTracker(await createMainThreadTracker(video, callbacks));
+        };
 
-                        // Check if buffer is uniform
-                        if (gestureBufferRef.current.length === GESTURE_CONFIDENCE_THRESHOLD) {
-                            const allMatch = gestureBufferRef.current.every(g => g === instantaneousGesture);
-                            if (allMatch) {
-                                setDetectedGesture(instantaneousGesture);
-                            }
+        // Worker first; the main thread when it cannot start or dies. ?tracking=main skips the worker
+        const startTracking = async (video) => {
+            if (new URLSearchParams(window.location.search).get('tracking') !== 'main') {
+                try {
+                    log("Starting tracking worker...");
+                    keepTracker(await createWorkerTracker(video, {
+                        ...callbacks,
+                        onError: (err) => {
+                            if (cancelled) return;
+                            log(`Tracking worker failed (${err.message}), falling back`);
+                            startMainThread(video).catch(e => fail("Fallback Failed", e));
                         }
+                    }));
+                    return;
+                } catch (err) {
+                    if (cancelled) return;
+                    log(`Tracking worker unavailable (${err.message}), falling back`);
+                }
+            }
+            await startMainThread(video);
+        };
 
-                        // Update Debug Text with Stable Gesture
-                        // Note: Using a ref-based text would be cleaner to avoid re-renders,
-                        // but setDebugText is used for UI overlay, so it's OK.
-                        // We might want to debounce this as well.
-                    } else {
-                        handDataRef.current.hands = [];
-                    }
-                });
+        // --- ASYNC INIT SEQUENCE ---
+        const startSystem = async () => {
+            try {
+                transition(SystemState.LOADING_ASSETS);
 
-                // 3. Initialize Camera
+                // 1. Initialize Camera
                 log("Requesting Camera Access...");
                 const stream = await navigator.mediaDevices.getUserMedia({
                     video: { width: 640, height: 480, frameRate: 60 }
                 });
+                if (cancelled) {
+                    stopStream(stream);
+                    return;
+                }
 
                 const video = document.createElement('video');
                 video.srcObject = stream;
                 video.style.display = 'none';
                 video.playsInline = true;
+                videoRef.current = video; // Before play, so cleanup stops the stream from here on
                 await video.play();
-                videoRef.current = video;
+                if (cancelled) return;
 
-                const camera = new window.Camera(video, {
-                    onFrame: async () => {
-                        if (video && video.videoWidth > 0 && systemState !== SystemState.ERROR) {
-                            await hands.send({ image: video });
-                        }
-                    },
-                    width: 640, height: 480,
-                });
-
-                cameraRef.current = camera;
-
-                log("Starting Camera Loop...");
-                await camera.start();
+                // 2. Initialize Hand Tracking
+                transition(SystemState.INITIALIZING_AI);
+                await startTracking(video);
+                if (cancelled) return;
 
-                // If we get here, the camera loop has started.
+                // If we get here, frames are being tracked.
                 transition(SystemState.READY);
 
             } catch (err) {
-                fail("Initialization Failed", err);
+                if (!cancelled) fail("Initialization Failed", err);
             }
         };
 
-        // --- WATCHDOG (15s) ---
+        // --- WATCHDOG (30s: the worker may time out before the fallback starts) ---
         const watchdog = setTimeout(() => {
-            if (systemState !== SystemState.READY && systemState !== SystemState.ERROR) {
+            if (stateRef.current !== SystemState.READY && stateRef.current !== SystemState.ERROR) {
                 fail("Watchdog Timeout", new Error("System took too long to initialize"));
             }
-        }, 15000);
+        }, 30000);
 
         startSystem();
 
         return () => {
+            cancelled = true;
+            initRef.current = false; // A remount (e.g. StrictMode) starts afresh
             clearTimeout(watchdog);
-            if (cameraRef.current) cameraRef.current.stop();
-            if (videoRef.current && videoRef.current.srcObject) {
-                const tracks = videoRef.current.srcObject.getTracks();
-                tracks.forEach(t => t.stop());
-            }
+            if (trackerRef.current) trackerRef.current.stop();
+            trackerRef.current = null;
+            if (videoRef.current && videoRef.current.srcObject) stopStream(videoRef.current.srcObject);
+            videoRef.current = null;
         };
-    }, []); // Run once
+    }, [gestureEvents]); // Run once: gestureEvents never changes
 
-    // Return detectedGesture for App Consumption
-    return { handDataRef, debugText, videoRef, systemState, error, detectedGesture }
+    // gestureEvents: see systems/GestureEvents
+    return { handDataRef, gestureEvents, debugText, videoRef, systemState, error, tracking, recording, recordGesture }
 }
@@ -0,0 +1,31 @@
+uniform sampler2D uColors;       // Previous frame (ping-pong)
+uniform sampler2D uTargetColors; // Per-particle colour of the target shape
+uniform sampler2D uPositions;    // Current particle positions
+uniform sampler2D uTarget;       // Target shape positions
+uniform mat4 uShapeMatrix;       // Two-hand transform of the target
+uniform float uColorLerp;
+uniform float uSettleDistance;   // Colour blends faster inside this distance
+uniform vec3 uBurstColor;        // Emitter mode: colour of the current burst
+
+varying vec2 vUv;
+
+#include ./emitter.glsl;
+
+void main() {
+    vec3 color = texture2D(uColors, vUv).rgb;
+
+    // Emitter mode: burst particles take the burst colour and keep it
+    if (uEmitter > 0.5) {
+        gl_FragColor = vec4(inBurst() ? uBurstColor : color, 1.0);
+        return;
+    }
+    vec3 target = texture2D(uTargetColors, vUv).rgb;
+
+    // Colour follows the particle: it mostly changes as it settles on its target
+    vec3 targetPos = (uShapeMatrix * vec4(texture2D(uTarget, vUv).xyz, 1.0)).xyz;
+    float dist = distance(texture2D(uPositions, vUv).xyz, targetPos);
+    float settle = 1.0 - smoothstep(0.0, uSettleDistance, dist);
+    float rate = uColorLerp * (0.2 + 0.8 * settle);
+
+    gl_FragColor = vec4(mix(color, target, rate), 1.0);
+}
@@ -0,0 +1,13 @@
+// Emitter mode (FIREWORKS), shared by the simulation passes.
+// Particles form a ring buffer; a burst respawns uBurstCount of them from
+// uBurstStart on for a single step (uBurstCount is 0 on every other step).
+uniform float uEmitter;    // 1 = emitter mode, 0 = shape mode
+uniform float uSimSize;    // Simulation texture size (uSimSize² particles)
+uniform float uBurstStart;
+uniform float uBurstCount;
+
+bool inBurst() {
+    float count = uSimSize * uSimSize;
+    float index = floor(gl_FragCoord.y) * uSimSize + floor(gl_FragCoord.x);
+    return mod(index - uBurstStart + count, count) < uBurstCount;
+}
@@ -0,0 +1,17 @@
+// Position pass: semi-implicit Euler with the velocity written this step
+uniform sampler2D uPositions;  // Previous step
+uniform sampler2D uVelocities; // Current step
+uniform float uDelta;          // Fixed timestep in seconds
+uniform vec3 uBurstOrigin;     // Emitter mode: where burst particles respawn
+
+varying vec2 vUv;
+
+#include ./emitter.glsl;
+
+void main() {
+    vec3 pos = texture2D(uPositions, vUv).xyz;
+    vec3 velocity = texture2D(uVelocities, vUv).xyz;
+    if (uEmitter > 0.5 && inBurst()) pos = uBurstOrigin;
+
+    gl_FragColor = vec4(pos + velocity * uDelta, 1.0);
+}
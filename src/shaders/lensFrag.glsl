@@ -0,0 +1,22 @@
+uniform sampler2D tDiffuse;
+uniform float uAberration;      // Channel split at the corners, in UV units
+uniform float uVignetteOffset;  // Vignette size, larger = tighter
+uniform float uVignetteDarkness;
+
+varying vec2 vUv;
+
+void main() {
+    vec2 fromCenter = vUv - 0.5;
+
+    // Chromatic aberration: red and blue split radially, none at the centre
+    vec2 shift = fromCenter * uAberration;
+    vec4 color = texture2D(tDiffuse, vUv);
+    color.r = texture2D(tDiffuse, vUv + shift).r;
+    color.b = texture2D(tDiffuse, vUv - shift).b;
+
+    // Vignette
+    vec2 uv = fromCenter * uVignetteOffset;
+    color.rgb = max(mix(color.rgb, vec3(1.0 - uVignetteDarkness), dot(uv, uv)), 0.0);
+
+    gl_FragColor = color;
+}
@@ -0,0 +1,36 @@
+// Life pass: x birth time, y lifetime, z age (0 = just born, 1 = dead),
+// w burst flash (1 for burst particles, 0 otherwise)
+uniform sampler2D uLife;
+uniform float uTime;
+uniform float uDelta;
+uniform float uSeed;
+uniform float uEmitterReset; // 1 on the step emitter mode starts
+uniform vec2 uBurstLifetime; // Seconds, min / max
+
+varying vec2 vUv;
+
+#include ./emitter.glsl;
+
+float rand(vec2 co){
+    return fract(sin(dot(co, vec2(12.9898, 78.233))) * 43758.5453);
+}
+
+void main() {
+    vec4 life = texture2D(uLife, vUv);
+
+    // Shape mode: everything lives; particles that died fade back in
+    if (uEmitter < 0.5) {
+        gl_FragColor = vec4(life.xy, max(life.z - uDelta * 2.0, 0.0), 0.0);
+        return;
+    }
+
+    // Bursts spawn flashing particles; on entering the mode the shape crumbles away
+    bool burst = inBurst();
+    if (burst || uEmitterReset > 0.5) {
+        float lifetime = mix(uBurstLifetime.x, uBurstLifetime.y, rand(vUv + uTime + uSeed));
+        life = vec4(uTime, lifetime, 0.0, burst ? 1.0 : 0.0);
+    }
+
+    float age = clamp((uTime - life.x) / max(life.y, 0.001), 0.0, 1.0);
+    gl_FragColor = vec4(life.xy, age, life.w);
+}
@@ -1,4 +1,5 @@
 varying vec3 vColor;
+varying float vAlpha; // Lifetime fade
 
 void main() {
     // Calculate distance from center of the point (0.5, 0.5)
@@ -10,5 +11,5 @@ void main() {
     // Soft glow effect: 1.0 at center, fading out
     float alpha = 1.0 - pow(d * 2.0, 2.0); // Quadratic falloff
     
-    gl_FragColor = vec4(vColor, alpha);
+    gl_FragColor = vec4(vColor, alpha * vAlpha);
 }
@@ -1,19 +1,33 @@
 uniform float uTime;
 uniform float uPixelRatio;
 uniform float uSize;
+uniform sampler2D uPositions; // Simulation output (GPGPU)
+uniform sampler2D uColors;    // Per-particle colour (GPGPU)
+uniform sampler2D uLife;      // Birth, lifetime, age (0-1), burst flash (GPGPU)
 
+attribute vec2 aReference; // Texel of this particle in uPositions
 attribute float aScale;
-attribute vec3 aColor;
 
 varying vec3 vColor;
+varying float vAlpha;
 
 void main() {
-    vColor = aColor;
+    vec3 pos = texture2D(uPositions, aReference).xyz;
+
+    // Pulsing color, phase varies per particle
+    float phase = dot(aReference, vec2(12.9898, 78.233)) * 1000.0;
+    vColor = texture2D(uColors, aReference).rgb + vec3(sin(uTime * 2.0 + phase), cos(uTime * 1.5 + phase), 0.0) * 0.1;
+
+    // Lifetime: fade out with age; burst particles start white-hot and shrink
+    vec4 life = texture2D(uLife, aReference);
+    float age = life.z;
+    vAlpha = 1.0 - age * age;
+    vColor = mix(vColor, vec3(1.0, 0.95, 0.85), life.w * pow(1.0 - age, 8.0));
     
-    vec4 mvPosition = modelViewMatrix * vec4(position, 1.0);
+    vec4 mvPosition = modelViewMatrix * vec4(pos, 1.0);
     gl_Position = projectionMatrix * mvPosition;
     
     // Size attenuation
-    gl_PointSize = uSize * aScale * uPixelRatio;
+    gl_PointSize = uSize * aScale * uPixelRatio * (1.0 - 0.6 * age * life.w);
     gl_PointSize *= (1.0 / -mvPosition.z);
 }
@@ -0,0 +1,12 @@
+uniform sampler2D uTexture;
+uniform float uSourceSize;
+uniform float uTargetSize;
+
+// Copy between simulations of different sizes: particle i takes the state of
+// source particle i mod sourceCount, so growing duplicates and shrinking drops
+void main() {
+    float index = floor(gl_FragCoord.y) * uTargetSize + floor(gl_FragCoord.x);
+    float source = mod(index, uSourceSize * uSourceSize);
+    vec2 uv = (vec2(mod(source, uSourceSize), floor(source / uSourceSize)) + 0.5) / uSourceSize;
+    gl_FragColor = texture2D(uTexture, uv);
+}
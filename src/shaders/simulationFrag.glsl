@@ -1,12 +1,37 @@
+// Velocity pass: spring to the target path, damping and the force field.
+// Positions are integrated afterwards in integrateFrag.glsl.
 uniform float uTime;
-uniform sampler2D uCurrentPosition;
-uniform vec3 uMouse;
-uniform float uShapeFactor; // 0.0 = Noise, 1.0 = Shape
-uniform vec2 uResolution;
-uniform float uInit; // 1.0 = Initial, 0.0 = Simulation
+uniform float uDelta;         // Fixed timestep in seconds
+uniform float uSeed;          // Per-seed offset for rand()
+uniform sampler2D uVelocities; // xyz velocity, w mass (previous step)
+uniform sampler2D uPositions; // Previous step
+uniform sampler2D uTarget;    // Target shape, xyz + stagger delay (0-1) per particle
+uniform sampler2D uFrom;      // Positions when the current transition started
+uniform float uTransitionTime; // Seconds since the transition started
+uniform float uDuration;      // Transition length in seconds, 0 = spring straight to target
+uniform float uStagger;       // Fraction of uDuration spread over start delays
+uniform int uEasing;          // See EASINGS in utils/transitions.js
+uniform mat4 uShapeMatrix;    // Two-hand scale / rotate / translate of the target
+uniform float uStiffness;     // Spring constant towards the target path
+uniform float uDamping;       // Velocity drag
+
+// Force field (systems/ForceField.js)
+#define MAX_FORCES 16
+uniform int uForceCount;
+uniform int uForceTypes[MAX_FORCES];
+uniform vec3 uForcePositions[MAX_FORCES];
+uniform vec3 uForceDirections[MAX_FORCES];
+uniform vec4 uForceParams[MAX_FORCES]; // strength, radius, falloff, extra
+
+uniform sampler2D uLife;       // Emitter mode: birth, lifetime, age
+uniform float uBurstSpeed;     // Emitter mode: launch speed
+uniform vec3 uGravity;         // Emitter mode: acceleration
+uniform float uEmitterDrag;    // Emitter mode: air drag (1/s)
 
 varying vec2 vUv;
 
+#include ./emitter.glsl;
+
 // Random helper
 float rand(vec2 co){
     return fract(sin(dot(co, vec2(12.9898, 78.233))) * 43758.5453);
@@ -103,48 +128,102 @@ vec3 curlNoise(vec3 p) {
   return normalize(vec3(x, y, z) * divisor);
 }
 
+float falloff(float dist, float radius, int mode) {
+  if (radius <= 0.0) return 1.0; // Global force
+  if (mode == 3) return radius / (radius + dist);
+  if (dist >= radius) return 0.0;
+  if (mode == 1) return 1.0 - dist / radius;
+  if (mode == 2) return 1.0 - smoothstep(0.0, radius, dist);
+  return 1.0;
+}
+
+vec3 applyForce(int type, vec3 center, vec3 direction, vec4 params, vec3 pos, vec3 velocity) {
+  float strength = params.x;
+  int mode = int(params.z + 0.5);
+  vec3 d = pos - center;
+
+  // Planes measure distance along the normal, everything else radially
+  float dist = type == 5 ? abs(dot(d, direction)) : length(d);
+  float f = falloff(dist, params.y, mode) * strength;
+  if (f == 0.0) return vec3(0.0);
+
+  if (type == 0) {
+      // ATTRACTOR: spring-like pull, jitter keeps it from collapsing to a singularity
+      vec3 jitter = vec3(rand(vUv + uTime + uSeed), rand(vUv - uTime - uSeed), 0.5) - 0.5;
+      return -d * f + jitter * params.w * falloff(dist, params.y, mode);
+  }
+  if (type == 1) return normalize(d + vec3(0.0001)) * f;           // REPELLER
+  if (type == 2) return normalize(cross(direction, d) + vec3(0.0001)) * f; // VORTEX
+  if (type == 3) return curlNoise(pos * params.w + uTime * 0.1) * f; // TURBULENCE
+  if (type == 4) return direction * f;                             // WIND
+  if (type == 5) return -direction * sign(dot(d, direction)) * f;  // GRAVITY_PLANE
+  if (type == 6) return -velocity * f;                             // DRAG
+  return vec3(0.0);
+}
+
+float ease(float t) {
+  if (uEasing == 1) return t * t * t;
+  if (uEasing == 2) return 1.0 - pow(1.0 - t, 3.0);
+  if (uEasing == 3) return t < 0.5 ? 4.0 * t * t * t : 1.0 - pow(-2.0 * t + 2.0, 3.0) / 2.0;
+  if (uEasing == 4) {
+      const float c1 = 1.70158;
+      const float c3 = c1 + 1.0;
+      return 1.0 + c3 * pow(t - 1.0, 3.0) + c1 * pow(t - 1.0, 2.0);
+  }
+  return t;
+}
+
+// Random direction on the unit sphere
+vec3 randomDirection(vec2 seed) {
+  float z = rand(seed) * 2.0 - 1.0;
+  float phi = rand(seed.yx + 0.37) * 6.2831853;
+  return vec3(sqrt(1.0 - z * z) * vec2(cos(phi), sin(phi)), z);
+}
+
 void main() {
-  // Initialization: Random positions
-  if (uInit > 0.5) {
-      vec2 seed = vUv + vec2(1.0, 1.0); // Simple seed
-      vec3 randomPos = vec3(
-          rand(seed) - 0.5,
-          rand(seed + 1.0) - 0.5,
-          rand(seed + 2.0) - 0.5
-      ) * 4.0; // Spread -2 to 2
-      gl_FragColor = vec4(randomPos, 1.0);
-      return;
+  vec4 velocityData = texture2D(uVelocities, vUv);
+  vec3 velocity = velocityData.xyz;
+  float mass = velocityData.w;
+  vec3 pos = texture2D(uPositions, vUv).xyz;
+  vec4 targetData = texture2D(uTarget, vUv);
+  vec3 force = vec3(0.0);
+
+  if (uEmitter > 0.5) {
+      // Emitter mode: launch with the burst, then fly ballistic until dead
+      if (inBurst()) {
+          float speed = uBurstSpeed * (0.7 + 0.3 * rand(vUv.yx + uTime + uSeed));
+          gl_FragColor = vec4(randomDirection(vUv + uTime + uSeed) * speed, mass);
+          return;
+      }
+      if (texture2D(uLife, vUv).z >= 1.0) {
+          gl_FragColor = vec4(vec3(0.0), mass); // Rest until recycled
+          return;
+      }
+      // Gravity and drag act the same on every mass
+      velocity += (uGravity - velocity * uEmitterDrag) * uDelta;
+  } else {
+      // 1. Follow the Transition Path
+      // Each particle starts after its stagger delay and eases from uFrom to the target
+      vec3 target = (uShapeMatrix * vec4(targetData.xyz, 1.0)).xyz;
+      if (uDuration > 0.0) {
+          float delay = targetData.w * uStagger * uDuration;
+          float travel = max(uDuration * (1.0 - uStagger), 0.0001);
+          float progress = clamp((uTransitionTime - delay) / travel, 0.0, 1.0);
+          target = mix(texture2D(uFrom, vUv).xyz, target, ease(progress));
+      }
+
+      // 2. Spring + Damping
+      force = (target - pos) * uStiffness - velocity * uDamping;
   }
 
-  // Sample current position
-  vec3 pos = texture2D(uCurrentPosition, vUv).xyz;
-
-  // 1. Curl Noise Flow (Idle State)
-  vec3 velocity = curlNoise(pos * 0.5 + uTime * 0.1) * 0.01;
-  
-  // 2. Mouse Interaction (Gravity Well)
-  // uMouse is normalized -1..1 (from JS)
-  // Map to World Space which is approx -2..2 (based on init spread)
-  vec3 mouseWorld = uMouse * 2.0; 
-  vec3 dir = mouseWorld - pos;
-  float dist = length(dir);
-  if (dist < 1.5) {
-      velocity += normalize(dir) * (0.05 / (dist + 0.1));
+  // 3. Force Field (hand input arrives as forces too)
+  for (int i = 0; i < MAX_FORCES; i++) {
+      if (i >= uForceCount) break;
+      force += applyForce(uForceTypes[i], uForcePositions[i], uForceDirections[i], uForceParams[i], pos, velocity);
   }
 
-  // Apply velocity to idle state
-  vec3 noisePos = pos + velocity;
-
-  // 3. Target Shape (Sphere)
-  // Map UV to Sphere
-  float theta = vUv.x * 6.283185; // 2PI
-  float phi = vUv.y * 3.14159;    // PI
-  vec3 targetPos = vec3(sin(phi) * cos(theta), cos(phi), sin(phi) * sin(theta)); // Sphere radius 1
-  
-  // Morph Logic
-  vec3 finalPos = mix(noisePos, targetPos * 1.5, uShapeFactor);
-
-  // Life/Reset logic could go here if uShapeFactor is 0
-  
-  gl_FragColor = vec4(finalPos, 1.0);
+  // Heavier particles respond slower
+  velocity += force / mass * uDelta;
+
+  gl_FragColor = vec4(velocity, mass);
 }
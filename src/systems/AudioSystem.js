@@ -1,3 +1,5 @@
+const MASTER_VOLUME = 0.3; // Safe initial volume
+
 /**
  * Generative Audio System
  * Uses Web Audio API to create ambient drones and interaction-based modulation.
@@ -9,6 +11,7 @@ export class AudioSystem {
         this.oscillators = [];
         this.filters = [];
         this.isStarted = false;
+        this.muted = false;
 
         // Configuration
         this.baseFreq = 65.41; // C2 (Deep Drone)
@@ -23,7 +26,7 @@ export class AudioSystem {
 
         // Master Chain
         this.masterGain = this.ctx.createGain();
-        this.masterGain.gain.value = 0.3; // Safe initial volume
+        this.masterGain.gain.value = this.muted ? 0 : MASTER_VOLUME;
         this.masterGain.connect(this.ctx.destination);
 
         // Create Drone Oscillators
@@ -34,7 +37,7 @@ export class AudioSystem {
 
             // Setup Oscillator
             osc.type = i === 0 ? 'sine' : 'triangle';
-            // Detune slightly for chorus effect
+            // Detune slightly for chorus effect; not seeded (see utils/random)
             const detune = (Math.random() - 0.5) * 10;
             osc.frequency.value = this.baseFreq * (i + 1); // Harmonics
             osc.detune.value = detune;
@@ -84,6 +87,35 @@ export class AudioSystem {
         });
     }
 
+    /**
+     * Retune the drone; harmonics follow.
+     * @param {number} frequency - Fundamental in Hz
+     */
+    setBaseFrequency(frequency) {
+        this.baseFreq = frequency;
+        if (!this.isStarted) return;
+
+        const time = this.ctx.currentTime;
+        this.oscillators.forEach((o, i) => {
+            o.osc.frequency.setTargetAtTime(this.baseFreq * (i + 1), time, 0.2);
+        });
+    }
+
+    /**
+     * Fade the master volume out or back in.
+     * @param {boolean} muted
+     */
+    setMuted(muted) {
+        this.muted = muted;
+        if (!this.isStarted) return;
+        this.masterGain.gain.setTargetAtTime(muted ? 0 : MASTER_VOLUME, this.ctx.currentTime, 0.1);
+    }
+
+    toggleMute() {
+        this.setMuted(!this.muted);
+        return this.muted;
+    }
+
     /**
      * Trigger a "Whoosh" sound for shape modulation
      */
@@ -115,6 +147,31 @@ export class AudioSystem {
         osc.stop(time + 1.2);
     }
 
+    /**
+     * Short soft ping, e.g. when a bound gesture is recognised.
+     * @param {number} [pitch=1] - Multiple of the base ping frequency
+     */
+    triggerPing(pitch = 1) {
+        if (!this.isStarted) return;
+        const time = this.ctx.currentTime;
+
+        const osc = this.ctx.createOscillator();
+        const gain = this.ctx.createGain();
+
+        osc.type = 'sine';
+        osc.frequency.setValueAtTime(this.baseFreq * 8 * pitch, time);
+
+        gain.gain.setValueAtTime(0, time);
+        gain.gain.linearRampToValueAtTime(0.08, time + 0.01);
+        gain.gain.exponentialRampToValueAtTime(0.001, time + 0.3);
+
+        osc.connect(gain);
+        gain.connect(this.masterGain);
+
+        osc.start(time);
+        osc.stop(time + 0.35);
+    }
+
     resume() {
         if (this.ctx && this.ctx.state === 'suspended') {
             this.ctx.resume();
@@ -0,0 +1,184 @@
+import * as THREE from 'three';
+import { DEFAULT_CAMERA, getShape } from '../utils/shapeRegistry';
+
+/**
+ * Camera Controller
+ * Orbits the camera around the origin. Input moves a goal (azimuth,
+ * elevation, distance) and the camera eases towards it:
+ * - one GRAB hand (closed fist) orbits, two GRAB hands zoom by spreading
+ * - mouse / touch drag orbits, wheel and two-finger pinch zoom
+ * - after a while without input the camera drifts round on its own
+ * - setShape eases to the shape's camera preset (see shapeRegistry)
+ */
+
+const DEG = Math.PI / 180;
+
+export class CameraController {
+    /**
+     * @param {THREE.PerspectiveCamera} camera
+     * @param {HTMLElement} element - Receives pointer and wheel input
+     */
+    constructor(camera, element) {
+        this.camera = camera;
+        this.element = element;
+
+        this.settings = {
+            orbitSpeed: 2.5,      // Radians per normalised hand unit
+            dragSpeed: Math.PI,   // Radians per viewport height of mouse drag
+            wheelSpeed: 0.001,    // Zoom factor per wheel delta unit
+            minDistance: 40,
+            maxDistance: 400,
+            maxElevation: 80 * DEG,
+            ease: 4,              // 1/s, how fast the camera follows its goal
+            idleDelay: 4,         // Seconds without input before auto-orbit
+            autoOrbitSpeed: 6 * DEG // Radians per second
+        };
+
+        this.goal = this.presetToOrbit(DEFAULT_CAMERA);
+        this.current = { ...this.goal };
+        this.idleTime = 0;
+        this.handGrab = null; // { x, y } of one fist, or { spread } of two
+        this.pointers = new Map();
+        this.pinchSpread = null;
+
+        this.onPointerDown = this.onPointerDown.bind(this);
+        this.onPointerMove = this.onPointerMove.bind(this);
+        this.onPointerUp = this.onPointerUp.bind(this);
+        this.onWheel = this.onWheel.bind(this);
+        element.addEventListener('pointerdown', this.onPointerDown);
+        element.addEventListener('pointermove', this.onPointerMove);
+        element.addEventListener('pointerup', this.onPointerUp);
+        element.addEventListener('pointercancel', this.onPointerUp);
+        element.addEventListener('wheel', this.onWheel, { passive: false });
+        element.style.touchAction = 'none'; // Touch drags orbit instead of scrolling
+
+        this.apply();
+    }
+
+    presetToOrbit({ distance, azimuth, elevation }) {
+        return { distance, azimuth: azimuth * DEG, elevation: elevation * DEG };
+    }
+
+    /**
+     * Ease to a shape's camera preset.
+     * @param {string} name - Shape name in the registry
+     */
+    setShape(name) {
+        const shape = getShape(name);
+        const goal = this.presetToOrbit(shape ? shape.camera : DEFAULT_CAMERA);
+
+        // Take the short way round from wherever auto-orbit has wandered
+        const turns = Math.round((this.current.azimuth - goal.azimuth) / (2 * Math.PI));
+        goal.azimuth += turns * 2 * Math.PI;
+        this.goal = goal;
+    }
+
+    orbit(dAzimuth, dElevation) {
+        const { maxElevation } = this.settings;
+        this.goal.azimuth += dAzimuth;
+        this.goal.elevation = THREE.MathUtils.clamp(this.goal.elevation + dElevation, -maxElevation, maxElevation);
+        this.idleTime = 0;
+    }
+
+    zoom(factor) {
+        const { minDistance, maxDistance } = this.settings;
+        this.goal.distance = THREE.MathUtils.clamp(this.goal.distance * factor, minDistance, maxDistance);
+        this.idleTime = 0;
+    }
+
+    /**
+     * @param {number} delta - Seconds since the last frame
+     * @param {Array<{x: number, y: number, gesture: string}>} hands - Normalised -1..1, as fed to ParticleSystem
+     */
+    update(delta, hands = []) {
+        this.updateHands(hands);
+
+        this.idleTime += delta;
+        if (this.idleTime > this.settings.idleDelay) {
+            // Ease in so the drift doesn't start with a jolt
+            const ramp = Math.min((this.idleTime - this.settings.idleDelay) / 2, 1);
+            this.goal.azimuth += this.settings.autoOrbitSpeed * ramp * delta;
+        }
+
+        const t = 1 - Math.exp(-this.settings.ease * delta);
+        Object.keys(this.current).forEach((key) => {
+            this.current[key] += (this.goal[key] - this.current[key]) * t;
+        });
+        this.apply();
+    }
+
+    updateHands(hands) {
+        const fists = hands.filter((h) => h.gesture === 'GRAB');
+
+        if (fists.length >= 2) {
+            const spread = Math.max(Math.hypot(fists[1].x - fists[0].x, fists[1].y - fists[0].y), 0.01);
+            // Pulling the hands apart brings the shape closer
+            if (this.handGrab && this.handGrab.spread) this.zoom(this.handGrab.spread / spread);
+            this.handGrab = { spread };
+        } else if (fists.length === 1) {
+            const { x, y } = fists[0];
+            if (this.handGrab && this.handGrab.x !== undefined) {
+                const speed = this.settings.orbitSpeed;
+                this.orbit(-(x - this.handGrab.x) * speed, -(y - this.handGrab.y) * speed);
+            }
+            this.handGrab = { x, y };
+        } else {
+            this.handGrab = null;
+        }
+
+        if (hands.length > 0) this.idleTime = 0;
+    }
+
+    apply() {
+        const { distance, azimuth, elevation } = this.current;
+        this.camera.position.set(
+            distance * Math.cos(elevation) * Math.sin(azimuth),
+            distance * Math.sin(elevation),
+            distance * Math.cos(elevation) * Math.cos(azimuth)
+        );
+        this.camera.lookAt(0, 0, 0);
+    }
+
+    onPointerDown(e) {
+        this.pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+        this.element.setPointerCapture(e.pointerId);
+        this.pinchSpread = null;
+    }
+
+    onPointerMove(e) {
+        const previous = this.pointers.get(e.pointerId);
+        if (!previous) return;
+        const point = { x: e.clientX, y: e.clientY };
+        this.pointers.set(e.pointerId, point);
+
+        if (this.pointers.size === 1) {
+            const speed = this.settings.dragSpeed / this.element.clientHeight;
+            this.orbit(-(point.x - previous.x) * speed, (point.y - previous.y) * speed);
+            return;
+        }
+
+        // Two fingers: pinch to zoom
+        const [a, b] = Array.from(this.pointers.values());
+        const spread = Math.max(Math.hypot(b.x - a.x, b.y - a.y), 1);
+        if (this.pinchSpread) this.zoom(this.pinchSpread / spread);
+        this.pinchSpread = spread;
+    }
+
+    onPointerUp(e) {
+        this.pointers.delete(e.pointerId);
+        this.pinchSpread = null;
+    }
+
+    onWheel(e) {
+        e.preventDefault();
+        this.zoom(Math.exp(e.deltaY * this.settings.wheelSpeed));
+    }
+
+    dispose() {
+        this.element.removeEventListener('pointerdown', this.onPointerDown);
+        this.element.removeEventListener('pointermove', this.onPointerMove);
+        this.element.removeEventListener('pointerup', this.onPointerUp);
+        this.element.removeEventListener('pointercancel', this.onPointerUp);
+        this.element.removeEventListener('wheel', this.onWheel);
+    }
+}
@@ -0,0 +1,123 @@
+import * as THREE from 'three';
+
+/**
+ * Force Field System
+ * A runtime list of forces packed into uniform arrays for the velocity pass
+ * (simulationFrag.glsl). Ids must match applyForce() there.
+ */
+
+export const FORCE_TYPES = {
+    ATTRACTOR: 0,     // Pull towards position (spring-like), optional jitter
+    REPELLER: 1,      // Push away from position
+    VORTEX: 2,        // Swirl around direction (axis) through position
+    TURBULENCE: 3,    // Curl noise, extra = spatial frequency
+    WIND: 4,          // Constant push along direction
+    GRAVITY_PLANE: 5, // Pull onto the plane through position with normal direction
+    DRAG: 6           // Slow particles down
+};
+
+export const FALLOFFS = {
+    none: 0,    // Full strength inside radius
+    linear: 1,  // 1 at the centre, 0 at radius
+    smooth: 2,  // Smoothstep to 0 at radius
+    inverse: 3  // radius / (radius + distance), no cut-off
+};
+
+export const MAX_FORCES = 16; // Must match MAX_FORCES in simulationFrag.glsl
+
+const toVector = (v, fallback) => {
+    if (v instanceof THREE.Vector3) return v.clone();
+    if (Array.isArray(v)) return new THREE.Vector3().fromArray(v);
+    return fallback.clone();
+};
+
+/**
+ * Build a force object. Keep the returned object to update or remove it later.
+ * @param {object} definition
+ * @param {string} definition.type - Key of FORCE_TYPES
+ * @param {THREE.Vector3|number[]} [definition.position] - Centre / point on plane
+ * @param {THREE.Vector3|number[]} [definition.direction] - Axis, wind direction or plane normal
+ * @param {number} [definition.strength] - Acceleration scale
+ * @param {number} [definition.radius] - Influence radius, 0 = everywhere
+ * @param {string} [definition.falloff] - Key of FALLOFFS
+ * @param {number} [definition.jitter] - ATTRACTOR: random push keeping particles from collapsing
+ * @param {number} [definition.frequency] - TURBULENCE: noise scale
+ */
+export const createForce = ({
+    type,
+    position,
+    direction,
+    strength = 1,
+    radius = 0,
+    falloff = 'linear',
+    jitter = 0,
+    frequency = 0.02,
+    enabled = true
+}) => {
+    if (FORCE_TYPES[type] === undefined) throw new Error(`Unknown force type "${type}"`);
+    if (FALLOFFS[falloff] === undefined) throw new Error(`Unknown falloff "${falloff}"`);
+
+    return {
+        type,
+        position: toVector(position, new THREE.Vector3()),
+        direction: toVector(direction, new THREE.Vector3(0, 1, 0)).normalize(),
+        strength,
+        radius,
+        falloff,
+        jitter,
+        frequency,
+        enabled
+    };
+};
+
+export class ForceField {
+    constructor() {
+        this.forces = [];
+        this.uniforms = {
+            uForceCount: { value: 0 },
+            uForceTypes: { value: new Int32Array(MAX_FORCES) },
+            uForcePositions: { value: Array.from({ length: MAX_FORCES }, () => new THREE.Vector3()) },
+            uForceDirections: { value: Array.from({ length: MAX_FORCES }, () => new THREE.Vector3()) },
+            // strength, radius, falloff id, type-specific extra
+            uForceParams: { value: Array.from({ length: MAX_FORCES }, () => new THREE.Vector4()) }
+        };
+    }
+
+    /**
+     * @param {object} definition - See createForce
+     * @returns {object} The live force; mutate it to update
+     */
+    add(definition) {
+        const force = createForce(definition);
+        this.forces.push(force);
+        return force;
+    }
+
+    remove(force) {
+        this.forces = this.forces.filter(f => f !== force);
+    }
+
+    clear() {
+        this.forces = [];
+    }
+
+    /**
+     * Pack enabled forces into the uniform arrays. Forces past MAX_FORCES are ignored.
+     */
+    sync() {
+        const { uForceTypes, uForcePositions, uForceDirections, uForceParams } = this.uniforms;
+        const active = this.forces.filter(f => f.enabled).slice(0, MAX_FORCES);
+
+        active.forEach((force, i) => {
+            uForceTypes.value[i] = FORCE_TYPES[force.type];
+            uForcePositions.value[i].copy(force.position);
+            uForceDirections.value[i].copy(force.direction);
+            const extra = force.type === 'ATTRACTOR' ? force.jitter
+                : force.type === 'TURBULENCE' ? force.frequency
+                    : 0;
+            uForceParams.value[i].set(force.strength, force.radius, FALLOFFS[force.falloff], extra);
+        });
+
+        this.uniforms.uForceCount.value = active.length;
+    }
+}
@@ -0,0 +1,160 @@
+import * as THREE from 'three';
+import simulationVert from '../shaders/simulationVert.glsl';
+import copyFrag from '../shaders/copyFrag.glsl';
+import resampleFrag from '../shaders/resampleFrag.glsl';
+
+/**
+ * GPGPU Ping-Pong Simulation
+ * Each variable owns two render targets. Passes run in registration order and
+ * swap right away, so a pass sees this step's state of earlier variables and
+ * the previous step's state of itself and later ones.
+ */
+export class GPGPU {
+    constructor(renderer, size) {
+        this.renderer = renderer;
+        this.size = size;
+        this.variables = [];
+
+        this.scene = new THREE.Scene();
+        this.camera = new THREE.OrthographicCamera(-1, 1, 1, -1, 0, 1);
+        this.mesh = new THREE.Mesh(new THREE.PlaneGeometry(2, 2));
+        this.scene.add(this.mesh);
+
+        // Full float where the GPU can render to it, HalfFloat otherwise (M1/mobile)
+        this.type = renderer.extensions.has('EXT_color_buffer_float')
+            ? THREE.FloatType
+            : THREE.HalfFloatType;
+
+        this.copyMaterial = new THREE.ShaderMaterial({
+            vertexShader: simulationVert,
+            fragmentShader: copyFrag,
+            uniforms: { uTexture: { value: null } }
+        });
+
+        this.resampleMaterial = new THREE.ShaderMaterial({
+            vertexShader: simulationVert,
+            fragmentShader: resampleFrag,
+            uniforms: {
+                uTexture: { value: null },
+                uSourceSize: { value: size },
+                uTargetSize: { value: size }
+            }
+        });
+    }
+
+    createTarget() {
+        return new THREE.WebGLRenderTarget(this.size, this.size, {
+            minFilter: THREE.NearestFilter,
+            magFilter: THREE.NearestFilter,
+            format: THREE.RGBAFormat,
+            type: this.type,
+            stencilBuffer: false,
+            depthBuffer: false
+        });
+    }
+
+    /**
+     * Register a simulated texture.
+     * @param {string} name - Uniform name every pass samples this variable through
+     * @param {string} fragmentShader - Writes the next state of this variable
+     * @param {object} uniforms - Extra uniforms for this pass
+     */
+    addVariable(name, fragmentShader, uniforms = {}) {
+        const variable = {
+            name,
+            material: new THREE.ShaderMaterial({
+                vertexShader: simulationVert,
+                fragmentShader,
+                uniforms: { ...uniforms }
+            }),
+            read: this.createTarget(),
+            write: this.createTarget()
+        };
+
+        // Uniforms must exist before the first compile, so wire both directions now
+        this.variables.push(variable);
+        this.variables.forEach((v) => {
+            v.material.uniforms[name] = { value: null };
+            variable.material.uniforms[v.name] = { value: null };
+        });
+
+        return variable;
+    }
+
+    getVariable(name) {
+        return this.variables.find((v) => v.name === name);
+    }
+
+    getTexture(name) {
+        return this.getVariable(name).read.texture;
+    }
+
+    /**
+     * Overwrite both buffers of a variable with a texture (initial state / reset).
+     * @param {number} [sourceSize] - Size of the texture when it comes from a
+     * simulation of another size; particles wrap around (see resampleFrag.glsl)
+     */
+    fill(name, texture, sourceSize = this.size) {
+        const variable = this.getVariable(name);
+        const copy = sourceSize === this.size
+            ? (target) => this.copy(texture, target)
+            : (target) => this.resample(texture, sourceSize, target);
+        copy(variable.read);
+        copy(variable.write);
+    }
+
+    /**
+     * Copy a texture into a render target (e.g. snapshot the current state).
+     */
+    copy(texture, target) {
+        this.copyMaterial.uniforms.uTexture.value = texture;
+        this.render(this.copyMaterial, target);
+    }
+
+    /**
+     * Copy a texture from a simulation of another size into a render target.
+     */
+    resample(texture, sourceSize, target) {
+        const uniforms = this.resampleMaterial.uniforms;
+        uniforms.uTexture.value = texture;
+        uniforms.uSourceSize.value = sourceSize;
+        uniforms.uTargetSize.value = this.size;
+        this.render(this.resampleMaterial, target);
+    }
+
+    /**
+     * Advance every variable by one step.
+     */
+    compute() {
+        this.variables.forEach((variable) => {
+            this.variables.forEach((v) => {
+                variable.material.uniforms[v.name].value = v.read.texture;
+            });
+            this.render(variable.material, variable.write);
+
+            const read = variable.read;
+            variable.read = variable.write;
+            variable.write = read;
+        });
+    }
+
+    render(material, target) {
+        const previous = this.renderer.getRenderTarget();
+        this.mesh.material = material;
+        this.renderer.setRenderTarget(target);
+        this.renderer.render(this.scene, this.camera);
+        this.renderer.setRenderTarget(previous);
+    }
+
+    dispose() {
+        this.variables.forEach((v) => {
+            v.material.dispose();
+            v.read.dispose();
+            v.write.dispose();
+        });
+        this.variables = [];
+        this.copyMaterial.dispose();
+        this.resampleMaterial.dispose();
+        this.mesh.geometry.dispose();
+    }
+}
@@ -0,0 +1,133 @@
+import * as THREE from 'three';
+import { PINCH } from '../utils/gestureBindings';
+
+/**
+ * Gesture Events
+ * Turns per-frame tracking results into a lifecycle that systems and UI
+ * subscribe to, instead of polling or re-rendering on React state.
+ * Events:
+ * - 'handenter' / 'handleave' ({ hand, handedness, position })
+ * - 'gesturestart', 'gesturehold' (every frame while held), 'gestureend'
+ *   ({ gesture, hand, handedness, position, confidence, duration })
+ * `hand` is the tracking slot (0 or 1), null for two-hand gestures;
+ * `duration` is seconds since the gesture started. Gestures are the
+ * binding table keys (see handGestures), so a hand shows several at once.
+ */
+export class GestureEvents extends THREE.EventDispatcher {
+    constructor() {
+        super();
+        this.hands = [];     // Per slot: { handedness, position, gestures: Map(gesture -> { start, confidence }) }
+        this.twoHand = null; // { gesture, start, confidence, position }
+    }
+
+    /**
+     * Diff this frame against the last and dispatch the changes.
+     * @param {object[]} hands - Tracked hands ({ x, y, handedness, confidence, pinchStrength, gestures })
+     * @param {{ label: string|null, confidence: number }|null} twoHand - Smoothed two-hand gesture
+     * @param {number} time - Seconds
+     */
+    update(hands, twoHand, time) {
+        const slots = Math.max(hands.length, this.hands.length);
+        for (let i = 0; i < slots; i++) {
+            const previous = this.hands[i];
+            const hand = hands[i];
+            if (previous && (!hand || hand.handedness !== previous.handedness)) {
+                this.endAll(previous, i, time);
+                this.dispatchEvent({ type: 'handleave', hand: i, handedness: previous.handedness, position: previous.position });
+                this.hands[i] = null;
+            }
+            if (hand) this.updateHand(hand, i, time);
+        }
+        this.hands.length = hands.length;
+
+        this.updateTwoHand(twoHand && twoHand.label ? twoHand : null, hands, time);
+    }
+
+    /**
+     * End everything, e.g. when tracking stops.
+     * @param {number} time - Seconds
+     */
+    clear(time) {
+        this.update([], null, time);
+    }
+
+    updateHand(hand, i, time) {
+        const position = { x: hand.x, y: hand.y };
+        let state = this.hands[i];
+        if (!state) {
+            state = { handedness: hand.handedness, position, gestures: new Map() };
+            this.hands[i] = state;
+            this.dispatchEvent({ type: 'handenter', hand: i, handedness: hand.handedness, position });
+        }
+        state.position = position;
+
+        const shown = new Set(hand.gestures);
+        state.gestures.forEach((gesture, name) => {
+            if (shown.has(name)) return;
+            state.gestures.delete(name);
+            this.dispatchGesture('gestureend', name, gesture, i, state, time);
+        });
+
+        shown.forEach((name) => {
+            const confidence = name === PINCH ? hand.pinchStrength : hand.confidence;
+            let gesture = state.gestures.get(name);
+            if (gesture) {
+                gesture.confidence = confidence;
+                this.dispatchGesture('gesturehold', name, gesture, i, state, time);
+            } else {
+                gesture = { start: time, confidence };
+                state.gestures.set(name, gesture);
+                this.dispatchGesture('gesturestart', name, gesture, i, state, time);
+            }
+        });
+    }
+
+    updateTwoHand(twoHand, hands, time) {
+        const previous = this.twoHand;
+        if (previous && (!twoHand || twoHand.label !== previous.gesture)) {
+            this.twoHand = null;
+            this.dispatchTwoHand('gestureend', previous, time);
+        }
+        if (!twoHand) return;
+
+        const position = hands.length > 1
+            ? { x: (hands[0].x + hands[1].x) / 2, y: (hands[0].y + hands[1].y) / 2 }
+            : previous ? previous.position : { x: 0, y: 0 };
+        if (this.twoHand) {
+            Object.assign(this.twoHand, { confidence: twoHand.confidence, position });
+            this.dispatchTwoHand('gesturehold', this.twoHand, time);
+        } else {
+            this.twoHand = { gesture: twoHand.label, start: time, confidence: twoHand.confidence, position };
+            this.dispatchTwoHand('gesturestart', this.twoHand, time);
+        }
+    }
+
+    endAll(state, i, time) {
+        state.gestures.forEach((gesture, name) => this.dispatchGesture('gestureend', name, gesture, i, state, time));
+        state.gestures.clear();
+    }
+
+    dispatchGesture(type, name, gesture, hand, state, time) {
+        this.dispatchEvent({
+            type,
+            gesture: name,
+            hand,
+            handedness: state.handedness,
+            position: state.position,
+            confidence: gesture.confidence,
+            duration: time - gesture.start
+        });
+    }
+
+    dispatchTwoHand(type, twoHand, time) {
+        this.dispatchEvent({
+            type,
+            gesture: twoHand.gesture,
+            hand: null,
+            handedness: null,
+            position: twoHand.position,
+            confidence: twoHand.confidence,
+            duration: time - twoHand.start
+        });
+    }
+}
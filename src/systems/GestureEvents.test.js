@@ -0,0 +1,106 @@
+import { describe, it, expect } from 'vitest';
+import { GestureEvents } from './GestureEvents';
+
+const TYPES = ['handenter', 'handleave', 'gesturestart', 'gesturehold', 'gestureend'];
+
+// Every event dispatched, without the dispatcher's `target`
+const listen = (events) => {
+    const log = [];
+    TYPES.forEach(type => events.addEventListener(type, event => log.push({ ...event, target: undefined })));
+    return log;
+};
+
+const left = (gestures, extra) => ({ x: 0.3, y: 0.5, handedness: 'Left', confidence: 0.9, pinchStrength: 0, gestures, ...extra });
+
+describe('GestureEvents', () => {
+    it('starts a gesture when the hand shows it', () => {
+        const events = new GestureEvents();
+        const log = listen(events);
+        events.update([left(['FIST', 'FINGERS_0'])], null, 1);
+        expect(log).toEqual([
+            { type: 'handenter', hand: 0, handedness: 'Left', position: { x: 0.3, y: 0.5 } },
+            { type: 'gesturestart', gesture: 'FIST', hand: 0, handedness: 'Left', position: { x: 0.3, y: 0.5 }, confidence: 0.9, duration: 0 },
+            { type: 'gesturestart', gesture: 'FINGERS_0', hand: 0, handedness: 'Left', position: { x: 0.3, y: 0.5 }, confidence: 0.9, duration: 0 }
+        ]);
+    });
+
+    it('reports how long a gesture is held, with its latest position and confidence', () => {
+        const events = new GestureEvents();
+        const log = listen(events);
+        events.update([left(['FIST'])], null, 1);
+        events.update([left(['FIST'], { x: 0.4, confidence: 0.8 })], null, 1.5);
+        events.update([left(['FIST'])], null, 2.25);
+        const held = log.filter(e => e.type === 'gesturehold');
+        expect(held.map(e => e.duration)).toEqual([0.5, 1.25]);
+        expect(held[0]).toMatchObject({ gesture: 'FIST', hand: 0, position: { x: 0.4, y: 0.5 }, confidence: 0.8 });
+    });
+
+    it('ends a gesture when the label changes, and starts the next', () => {
+        const events = new GestureEvents();
+        events.update([left(['FIST'])], null, 1);
+        const log = listen(events);
+        events.update([left(['PEACE'])], null, 3);
+        expect(log.map(e => [e.type, e.gesture, e.duration])).toEqual([
+            ['gestureend', 'FIST', 2],
+            ['gesturestart', 'PEACE', 0]
+        ]);
+    });
+
+    it('takes the pinch confidence from the pinch strength', () => {
+        const events = new GestureEvents();
+        const log = listen(events);
+        events.update([left(['PINCH', 'FIST'], { pinchStrength: 0.75 })], null, 1);
+        const started = log.filter(e => e.type === 'gesturestart');
+        expect(started.map(e => [e.gesture, e.confidence])).toEqual([['PINCH', 0.75], ['FIST', 0.9]]);
+    });
+
+    it('leaves and enters again when the slot changes hands', () => {
+        const events = new GestureEvents();
+        events.update([left(['FIST'])], null, 1);
+        const log = listen(events);
+        events.update([left(['FIST'], { handedness: 'Right' })], null, 2);
+        expect(log.map(e => [e.type, e.handedness])).toEqual([
+            ['gestureend', 'Left'],
+            ['handleave', 'Left'],
+            ['handenter', 'Right'],
+            ['gesturestart', 'Right']
+        ]);
+    });
+
+    it('runs two-hand gestures without a hand, between both hands', () => {
+        const events = new GestureEvents();
+        const log = listen(events);
+        const hands = [left([]), left([], { x: 0.7, handedness: 'Right' })];
+        events.update(hands, { label: 'CLASP', confidence: 0.7 }, 1);
+        events.update(hands, { label: 'CLASP', confidence: 0.8 }, 2);
+        events.update(hands, { label: null, confidence: 0 }, 4);
+        expect(log.filter(e => e.gesture).map(e => [e.type, e.gesture, e.hand, e.confidence, e.duration])).toEqual([
+            ['gesturestart', 'CLASP', null, 0.7, 0],
+            ['gesturehold', 'CLASP', null, 0.8, 1],
+            ['gestureend', 'CLASP', null, 0.8, 3]
+        ]);
+        expect(log.find(e => e.gesture).position).toEqual({ x: 0.5, y: 0.5 });
+    });
+
+    it('ends everything and lets the hands go on clear', () => {
+        const events = new GestureEvents();
+        const hands = [left(['FIST']), left(['PEACE'], { handedness: 'Right' })];
+        events.update(hands, { label: 'CLASP', confidence: 0.9 }, 1);
+        const log = listen(events);
+        events.clear(2);
+        expect(log.map(e => [e.type, e.gesture, e.hand, e.duration])).toEqual([
+            ['gestureend', 'FIST', 0, 1],
+            ['handleave', undefined, 0, undefined],
+            ['gestureend', 'PEACE', 1, 1],
+            ['handleave', undefined, 1, undefined],
+            ['gestureend', 'CLASP', null, 1]
+        ]);
+
+        // Nothing is left to end, and a hand coming back starts afresh
+        log.length = 0;
+        events.clear(3);
+        expect(log).toEqual([]);
+        events.update([left(['FIST'])], null, 4);
+        expect(log.map(e => [e.type, e.duration])).toEqual([['handenter', undefined], ['gesturestart', 0]]);
+    });
+});
@@ -1,138 +1,119 @@
 import * as THREE from 'three';
+import { GPGPU } from './GPGPU';
+import { ForceField } from './ForceField';
+import {
+    DEFAULT_PHYSICS,
+    DEFAULT_SHAPE,
+    generateShape,
+    getShape,
+    setShapeParams,
+    setShapePalette,
+    shadeShape
+} from '../utils/shapeRegistry';
 import vertexShader from '../shaders/particlesVert.glsl';
 import fragmentShader from '../shaders/particlesFrag.glsl';
-
-// --- SHAPE GENERATORS ---
-const SHAPES = {
-    SPHERE: (count) => {
-        const data = new Float32Array(count * 3);
-        const radius = 60; // Base size
-        for (let i = 0; i < count; i++) {
-            const phi = Math.acos(-1 + (2 * i) / count);
-            const theta = Math.sqrt(count * Math.PI) * phi;
-            data[i * 3] = radius * Math.cos(theta) * Math.sin(phi);
-            data[i * 3 + 1] = radius * Math.sin(theta) * Math.sin(phi);
-            data[i * 3 + 2] = radius * Math.cos(phi);
-        }
-        return data;
-    },
-    HEART: (count) => {
-        const data = new Float32Array(count * 3);
-        const scale = 3.5;
-        for (let i = 0; i < count; i++) {
-            const t = (i / count) * Math.PI * 2 * 100; // Multiply to wrap around multiple times
-            // Parametric heart
-            const x = 16 * Math.pow(Math.sin(t), 3);
-            const y = 13 * Math.cos(t) - 5 * Math.cos(2 * t) - 2 * Math.cos(3 * t) - Math.cos(4 * t);
-            const z = (Math.random() - 0.5) * 10; // Slight depth
-
-            data[i * 3] = x * scale;
-            data[i * 3 + 1] = y * scale;
-            data[i * 3 + 2] = z;
-        }
-        return data;
-    },
-    FLOWER: (count) => {
-        const data = new Float32Array(count * 3);
-        const scale = 30;
-        for (let i = 0; i < count; i++) {
-            const u = Math.random() * Math.PI * 2;
-            const v = Math.random() * Math.PI;
-            // Rose curve-ish
-            const r = Math.sin(5 * u) * scale;
-
-            data[i * 3] = r * Math.cos(u) * Math.sin(v) * 2; // Spread out
-            data[i * 3 + 1] = r * Math.sin(u) * Math.sin(v) * 2;
-            data[i * 3 + 2] = (Math.random() - 0.5) * 50;
-        }
-        return data;
-    },
-    SATURN: (count) => {
-        const data = new Float32Array(count * 3);
-        // 70% Sphere, 30% Ring
-        const sphereCount = Math.floor(count * 0.7);
-        const ringCount = count - sphereCount;
-
-        // Sphere part
-        const sphereRad = 40;
-        for (let i = 0; i < sphereCount; i++) {
-            const phi = Math.acos(-1 + (2 * i) / sphereCount);
-            const theta = Math.sqrt(sphereCount * Math.PI) * phi;
-            data[i * 3] = sphereRad * Math.cos(theta) * Math.sin(phi);
-            data[i * 3 + 1] = sphereRad * Math.sin(theta) * Math.sin(phi);
-            data[i * 3 + 2] = sphereRad * Math.cos(phi);
-        }
-
-        // Ring part
-        const ringMin = 60;
-        const ringMax = 90;
-        for (let i = 0; i < ringCount; i++) {
-            const idx = sphereCount + i;
-            const angle = Math.random() * Math.PI * 2;
-            const r = ringMin + Math.random() * (ringMax - ringMin);
-
-            data[idx * 3] = r * Math.cos(angle);
-            data[idx * 3 + 1] = r * Math.sin(angle) * 0.1; // Flattened
-            data[idx * 3 + 2] = (Math.random() - 0.5) * 2; // Thin layer
-
-            // Tilt the ring
-            const x = data[idx * 3];
-            const y = data[idx * 3 + 1];
-            // Rotate around X
-            const tilt = Math.PI * 0.2;
-            data[idx * 3 + 1] = y * Math.cos(tilt) - x * Math.sin(tilt); // Actually maybe Z axis tilt? 
-            // Let's just keep it simple disc first
-        }
-        return data;
-    },
-    FIREWORKS: (count) => {
-        const data = new Float32Array(count * 3);
-        // Random huge sphere
-        const maxDist = 200;
-        for (let i = 0; i < count; i++) {
-            const theta = Math.random() * Math.PI * 2;
-            const phi = Math.acos((Math.random() * 2) - 1);
-            const r = Math.random() * maxDist;
-
-            data[i * 3] = r * Math.sin(phi) * Math.cos(theta);
-            data[i * 3 + 1] = r * Math.sin(phi) * Math.sin(theta);
-            data[i * 3 + 2] = r * Math.cos(phi);
-        }
-        return data;
-    }
-};
-
-const COLORS = {
-    DEFAULT: new THREE.Color('#00ffff'),
-    HEART: new THREE.Color('#ff0055'),
-    FLOWER: new THREE.Color('#ffcc00'),
-    SATURN: new THREE.Color('#ffaa88'),
-    FIREWORKS: new THREE.Color('#ffffff')
-};
-
-export class ParticleSystem {
-    constructor(scene) {
+import simulationShader from '../shaders/simulationFrag.glsl';
+import integrateShader from '../shaders/integrateFrag.glsl';
+import colorShader from '../shaders/colorFrag.glsl';
+import lifeShader from '../shaders/lifeFrag.glsl';
+import { DEFAULT_TRANSITION, EASINGS, staggerDelays } from '../utils/transitions';
+import { matchTargets } from '../utils/matching';
+import { random, seedRandom } from '../utils/random';
+
+// Brightness was tuned for 15k particles; shrink points as the count grows
+const REFERENCE_COUNT = 15000;
+
+// Fixed simulation timestep, independent of frame rate
+const STEP = 1 / 120;
+const MAX_STEPS_PER_FRAME = 8; // Drop time rather than spiral after a stall
+
+const MAX_HANDS = 2;
+const Z_AXIS = new THREE.Vector3(0, 0, 1);
+const VIEW_DISTANCE = 120; // Camera distance interaction.scale is tuned for
+const SPIN_DECAY = 1.2;    // 1/s, how fast a spin winds down
+
+// Shortest signed difference between two angles
+const angleDelta = (a, b) => Math.atan2(Math.sin(a - b), Math.cos(a - b));
+
+const createDataTexture = (size) => new THREE.DataTexture(
+    new Float32Array(size * size * 4), size, size, THREE.RGBAFormat, THREE.FloatType
+);
+
+/**
+ * GPU particle cloud that morphs between registered shapes.
+ * Events: 'transitionstart' / 'transitionend' ({ shape, duration }).
+ */
+export class ParticleSystem extends THREE.EventDispatcher {
+    /**
+     * @param {THREE.Scene} scene
+     * @param {object} options
+     * @param {THREE.WebGLRenderer} options.renderer - Runs the GPGPU simulation
+     * @param {number} [options.size=512] - Simulation texture size (size² particles)
+     * @param {number[]} [options.mass=[1, 1]] - Per-particle mass range; heavier particles lag behind
+     * @param {THREE.Camera} [options.camera] - Hands map onto the plane facing this camera;
+     * without one they map onto z = 0
+     * @param {number|string} [options.seed] - Seeds every generator and the simulation. With the
+     * same seed, size and update() times/inputs, runs are identical on the same GPU.
+     */
+    constructor(scene, { renderer, camera = null, size = 512, mass = [1, 1], seed } = {}) {
+        super();
+        this.camera = camera;
+        if (seed !== undefined) seedRandom(seed);
+        this.noiseSeed = random() * 100; // Offsets the shader's hash noise per seed
         this.scene = scene;
-        this.count = 15000;
-        this.currentShape = 'SPHERE';
-        this.targetPositions = SHAPES.SPHERE(this.count);
-        this.originalPositions = new Float32Array(this.targetPositions); // For return to form
-        this.positions = new Float32Array(this.targetPositions);
-
-        // Geometry
-        this.geometry = new THREE.BufferGeometry();
-        this.geometry.setAttribute('position', new THREE.BufferAttribute(this.positions, 3));
-        this.geometry.setAttribute('aScale', new THREE.BufferAttribute(new Float32Array(this.count).fill(1.0), 1));
-
-        // Colors
-        const colors = new Float32Array(this.count * 3);
-        const c = COLORS.DEFAULT;
-        for (let i = 0; i < this.count; i++) {
-            colors[i * 3] = c.r;
-            colors[i * 3 + 1] = c.g;
-            colors[i * 3 + 2] = c.b;
-        }
-        this.geometry.setAttribute('aColor', new THREE.BufferAttribute(colors, 3));
+        this.renderer = renderer;
+        this.currentShape = DEFAULT_SHAPE;
+        this.shapeParams = {};
+        this.transition = null;
+        this.pointSize = 100; // At REFERENCE_COUNT particles
+        this.pointScale = 1;
+
+        // Fixed-step clock
+        this.simTime = 0;
+        this.lastTime = null;
+        this.accumulator = 0;
+
+        // Forces: hand input drives one force, others are added at runtime
+        this.forceField = new ForceField();
+        this.interaction = {
+            scale: 80,            // Normalized input -> world units
+            radius: 60,
+            repelStrength: 3000,
+            attractStrength: 100,
+            attractJitter: 200
+        };
+        this.handForces = Array.from({ length: MAX_HANDS }, () =>
+            this.forceField.add({ type: 'REPELLER', enabled: false })
+        );
+
+        // Two-hand manipulation of the target shape (scale, z-rotation, offset)
+        this.transform = { scale: 1, rotation: 0, x: 0, y: 0 };
+        this.grab = null;
+        this.spinVelocity = 0; // Radians per second about z, see spin()
+        this.shapeMatrix = { value: new THREE.Matrix4() };
+
+        // Short outward blast from the shape's centre, see explode()
+        this.explosion = this.forceField.add({ type: 'REPELLER', radius: 0, falloff: 'none', enabled: false });
+        this.explosionEnd = 0;
+
+        // Emitter mode (shapes with an `emitter`): open hands launch bursts.
+        // Shared by every simulation pass, see emitter.glsl
+        this.emitter = null;
+        this.emitterUniforms = {
+            uEmitter: { value: 0 },
+            uEmitterReset: { value: 0 },
+            uSimSize: { value: 0 },
+            uBurstStart: { value: 0 },
+            uBurstCount: { value: 0 },
+            uBurstOrigin: { value: new THREE.Vector3() },
+            uBurstColor: { value: new THREE.Color() },
+            uBurstSpeed: { value: 0 },
+            uBurstLifetime: { value: new THREE.Vector2(1, 1) },
+            uGravity: { value: new THREE.Vector3() },
+            uEmitterDrag: { value: 0 }
+        };
+        this.bursts = [];     // Queued { position, color }, one fires per step
+        this.lastBursts = new Array(MAX_HANDS).fill(null); // Per hand: sim time of its last burst, null while not open
 
         // Material
         this.material = new THREE.ShaderMaterial({
@@ -141,126 +122,604 @@ export class ParticleSystem {
             uniforms: {
                 uTime: { value: 0 },
                 uPixelRatio: { value: Math.min(window.devicePixelRatio, 2) },
-                uSize: { value: 100.0 }
+                uSize: { value: 0 },
+                uPositions: { value: null },
+                uColors: { value: null },
+                uLife: { value: null }
             },
             transparent: true,
             depthWrite: false,
             blending: THREE.AdditiveBlending
         });
 
+        this.allocate(size);
+        this.writeTarget(generateShape(DEFAULT_SHAPE, this.count), getShape(DEFAULT_SHAPE).color);
+        this.gpgpu.fill('uPositions', this.targetTexture); // Start fully formed
+        this.gpgpu.fill('uColors', this.targetColorTexture);
+        this.gpgpu.copy(this.targetTexture, this.fromTarget);
+        this.initVelocities(mass);
+        this.setPhysics(getShape(DEFAULT_SHAPE).physics);
+
         this.points = new THREE.Points(this.geometry, this.material);
+        this.points.frustumCulled = false; // Real bounds only exist on the GPU
         this.scene.add(this.points);
+    }
+
+    /**
+     * Create everything sized by the particle count: target textures, the
+     * simulation and the geometry. Contents are left for the caller to fill.
+     * @param {number} size - Simulation texture size (size² particles)
+     */
+    allocate(size) {
+        this.size = size;
+        this.count = size * size;
+
+        // Target shape and per-particle colours live in data textures the simulation samples
+        this.targetTexture = createDataTexture(size);
+        this.targetColorTexture = createDataTexture(size);
+
+        // Next burst reuses particles from here on (ring buffer)
+        this.burstCursor = 0;
+        this.emitterUniforms.uSimSize.value = size;
+
+        // Simulation: velocities -> positions -> colours -> lifetimes, ping-pong on the GPU
+        this.gpgpu = new GPGPU(this.renderer, size);
+        this.velocities = this.gpgpu.addVariable('uVelocities', simulationShader, {
+            uTime: { value: 0 },
+            uDelta: { value: STEP },
+            uSeed: { value: this.noiseSeed },
+            uTarget: { value: this.targetTexture },
+            uFrom: { value: null },
+            uTransitionTime: { value: 0 },
+            uDuration: { value: 0 },
+            uStagger: { value: 0 },
+            uEasing: { value: 0 },
+            uShapeMatrix: this.shapeMatrix,
+            uStiffness: { value: DEFAULT_PHYSICS.stiffness },
+            uDamping: { value: DEFAULT_PHYSICS.damping },
+            ...this.forceField.uniforms,
+            ...this.emitterUniforms
+        });
+        this.gpgpu.addVariable('uPositions', integrateShader, {
+            uDelta: { value: STEP },
+            ...this.emitterUniforms
+        });
+        this.colors = this.gpgpu.addVariable('uColors', colorShader, {
+            uTargetColors: { value: this.targetColorTexture },
+            uTarget: { value: this.targetTexture },
+            uShapeMatrix: this.shapeMatrix,
+            uColorLerp: { value: 0.025 }, // Per step
+            uSettleDistance: { value: 20.0 },
+            ...this.emitterUniforms
+        });
+        this.life = this.gpgpu.addVariable('uLife', lifeShader, {
+            uTime: { value: 0 },
+            uDelta: { value: STEP },
+            uSeed: { value: this.noiseSeed },
+            ...this.emitterUniforms
+        });
+
+        // Where particles were when the current transition started
+        this.fromTarget = this.gpgpu.createTarget();
+        this.velocities.material.uniforms.uFrom.value = this.fromTarget.texture;
+
+        // Geometry: one vertex per texel, positions come from the texture
+        const references = new Float32Array(this.count * 2);
+        for (let i = 0; i < this.count; i++) {
+            references[i * 2] = ((i % size) + 0.5) / size;
+            references[i * 2 + 1] = (Math.floor(i / size) + 0.5) / size;
+        }
+        this.geometry = new THREE.BufferGeometry();
+        this.geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(this.count * 3), 3));
+        this.geometry.setAttribute('aReference', new THREE.BufferAttribute(references, 2));
+        this.geometry.setAttribute('aScale', new THREE.BufferAttribute(new Float32Array(this.count).fill(1.0), 1));
+
+        this.updatePointSize();
+    }
+
+    /**
+     * Change the particle count on the fly. Particle i carries on from old
+     * particle i mod oldCount, so new particles start on top of existing ones
+     * and the current shape is resampled and matched to where they already
+     * are: the cloud fills in or thins out without popping. Running
+     * transitions continue.
+     * @param {number} size - Simulation texture size (size² particles)
+     */
+    resize(size) {
+        if (size === this.size) return;
+
+        const previous = {
+            size: this.size,
+            count: this.count,
+            gpgpu: this.gpgpu,
+            geometry: this.geometry,
+            targetTexture: this.targetTexture,
+            targetColorTexture: this.targetColorTexture,
+            fromTarget: this.fromTarget,
+            targetPositions: this.targetPositions
+        };
+
+        this.allocate(size);
+
+        previous.gpgpu.variables.forEach(({ name, material }) => {
+            this.gpgpu.fill(name, previous.gpgpu.getTexture(name), previous.size);
+
+            // Tuning and transition clock; textures and shared uniforms are already wired
+            const uniforms = this.gpgpu.getVariable(name).material.uniforms;
+            Object.entries(material.uniforms).forEach(([key, uniform]) => {
+                if (typeof uniform.value === 'number') uniforms[key].value = uniform.value;
+            });
+        });
+        this.gpgpu.resample(previous.fromTarget.texture, previous.size, this.fromTarget);
+
+        // Per-particle settle position and stagger delay, wrapped like the GPU state
+        const from = new Float32Array(this.count * 3);
+        const delays = new Float32Array(this.count);
+        const previousTarget = previous.targetTexture.image.data;
+        for (let i = 0; i < this.count; i++) {
+            const j = i % previous.count;
+            from.set(previous.targetPositions.subarray(j * 3, j * 3 + 3), i * 3);
+            delays[i] = previousTarget[j * 4 + 3];
+        }
+
+        const target = generateShape(this.currentShape, this.count, this.shapeParams);
+        this.writeTarget(this.matchTarget(from, target), getShape(this.currentShape).color, delays);
+
+        this.points.geometry = this.geometry;
+        this.material.uniforms.uPositions.value = this.gpgpu.getTexture('uPositions');
+        this.material.uniforms.uColors.value = this.gpgpu.getTexture('uColors');
+        this.material.uniforms.uLife.value = this.gpgpu.getTexture('uLife');
 
-        this.currentColor = COLORS.DEFAULT.clone();
-        this.targetColor = COLORS.DEFAULT.clone();
+        previous.geometry.dispose();
+        previous.targetTexture.dispose();
+        previous.targetColorTexture.dispose();
+        previous.fromTarget.dispose();
+        previous.gpgpu.dispose();
     }
 
-    setShape(type) {
-        if (SHAPES[type]) {
-            this.currentShape = type;
-            this.targetPositions = SHAPES[type](this.count);
+    /**
+     * @param {number} ratio - Device pixel ratio the renderer draws at
+     */
+    setPixelRatio(ratio) {
+        this.material.uniforms.uPixelRatio.value = ratio;
+    }
+
+    /**
+     * @param {number} size - Base point size, tuned at REFERENCE_COUNT particles
+     */
+    setPointSize(size) {
+        this.pointSize = size;
+        this.updatePointSize();
+    }
+
+    /**
+     * @param {number} scale - Point size multiplier on top of the count-based size
+     */
+    setPointScale(scale) {
+        this.pointScale = scale;
+        this.updatePointSize();
+    }
+
+    updatePointSize() {
+        this.material.uniforms.uSize.value = this.pointSize * Math.sqrt(REFERENCE_COUNT / this.count) * this.pointScale;
+    }
 
-            // Set Color Target
-            if (type === 'HEART') this.targetColor = COLORS.HEART;
-            else if (type === 'FLOWER') this.targetColor = COLORS.FLOWER;
-            else if (type === 'SATURN') this.targetColor = COLORS.SATURN;
-            else if (type === 'FIREWORKS') this.targetColor = COLORS.FIREWORKS;
-            else this.targetColor = COLORS.DEFAULT;
+    /**
+     * Start at rest with a mass per particle (velocity texture w).
+     * @param {number[]} range - [min, max] mass
+     */
+    initVelocities([min, max]) {
+        const texture = createDataTexture(this.size);
+        const data = texture.image.data;
+        for (let i = 0; i < this.count; i++) {
+            data[i * 4 + 3] = min + random() * (max - min);
         }
+        texture.needsUpdate = true;
+        this.gpgpu.fill('uVelocities', texture);
+        texture.dispose();
     }
 
-    update(time, inputState) {
-        this.material.uniforms.uTime.value = time;
+    /**
+     * Tune the spring live; setShape applies the shape's own physics.
+     * @param {{stiffness?: number, damping?: number}} physics
+     */
+    setPhysics({ stiffness, damping }) {
+        const uniforms = this.velocities.material.uniforms;
+        if (stiffness !== undefined) uniforms.uStiffness.value = stiffness;
+        if (damping !== undefined) uniforms.uDamping.value = damping;
+    }
 
-        // Color Interpolation
-        this.currentColor.lerp(this.targetColor, 0.05);
-        const colorArray = this.geometry.attributes.aColor.array;
+    /**
+     * Add a force (attractor, vortex, turbulence, ...) to the simulation.
+     * @param {object} definition - See createForce in ForceField.js
+     * @returns {object} Live force; mutate it to update, pass it to removeForce
+     */
+    addForce(definition) {
+        return this.forceField.add(definition);
+    }
 
-        // Physics / Morphing Loop
-        const positions = this.geometry.attributes.position.array;
+    removeForce(force) {
+        if (this.isInternalForce(force)) return;
+        this.forceField.remove(force);
+    }
 
-        // Input Forces (Normalized -1 to 1 => Scale to World Bounds approx 60-100)
-        let interactX = 0, interactY = 0, active = false, repel = false, attract = false;
-
-        if (inputState && inputState.active) {
-            active = true;
-            interactX = inputState.x * 80; // Scale to scene
-            interactY = inputState.y * 80;
-
-            // Logic:
-            // If FIREWORKS/OPEN -> Repel
-            // If PINCHING -> Attract
-            // Else -> Neutral/Idle (just shape morph)
-
-            if (inputState.gesture === 'OPEN' || inputState.mouseHover) {
-                repel = true;
-            } else if (inputState.isPinching) {
-                attract = true;
-            }
+    isInternalForce(force) {
+        return this.handForces.includes(force) || force === this.explosion;
+    }
+
+    /**
+     * Forces added through addForce (hand and explosion forces are internal).
+     */
+    getForces() {
+        return this.forceField.forces.filter(f => !this.isInternalForce(f));
+    }
+
+    clearForces() {
+        this.getForces().forEach(f => this.forceField.remove(f));
+    }
+
+    /**
+     * Upload a generated shape into the target textures.
+     * @param {{ positions: Float32Array, colors: Float32Array|null, generated?: boolean }} shape - generateShape output
+     * @param {THREE.Color} baseColor - Used when the shape carries no per-particle colours
+     * @param {Float32Array} [delays] - Stagger delay (0-1) per particle
+     */
+    writeTarget({ positions, colors, generated = false }, baseColor, delays = null) {
+        this.targetPositions = positions;
+        this.generatedColors = generated ? colors : null; // Kept by recolor
+        const data = this.targetTexture.image.data;
+
+        for (let i = 0; i < this.count; i++) {
+            const i3 = i * 3;
+            const i4 = i * 4;
+            data[i4] = positions[i3];
+            data[i4 + 1] = positions[i3 + 1];
+            data[i4 + 2] = positions[i3 + 2];
+            data[i4 + 3] = delays ? delays[i] : 0.0;
         }
 
+        this.targetTexture.needsUpdate = true;
+        this.writeColors(colors, baseColor);
+    }
+
+    /**
+     * Upload per-particle target colours (or a flat colour).
+     * @param {Float32Array|null} colors - rgb per particle
+     * @param {THREE.Color} baseColor - Used when colors is null
+     */
+    writeColors(colors, baseColor) {
+        const colorData = this.targetColorTexture.image.data;
+
         for (let i = 0; i < this.count; i++) {
             const i3 = i * 3;
+            const i4 = i * 4;
+            colorData[i4] = colors ? colors[i3] : baseColor.r;
+            colorData[i4 + 1] = colors ? colors[i3 + 1] : baseColor.g;
+            colorData[i4 + 2] = colors ? colors[i3 + 2] : baseColor.b;
+            colorData[i4 + 3] = 1.0;
+        }
+
+        this.targetColorTexture.needsUpdate = true;
+    }
+
+    /**
+     * Morph towards a registered shape.
+     * @param {string} type - Shape name in the registry
+     * @param {object} options - Transition settings, see DEFAULT_TRANSITION
+     * @param {object} [options.params] - Overrides for the shape's generator params
+     * @param {number} [options.duration] - Seconds including stagger; 0 = spring straight to the target
+     * @param {string} [options.easing] - Key of EASINGS
+     * @param {number} [options.stagger] - Fraction of duration spread over start delays
+     * @param {string} [options.order] - 'index' | 'random' | 'radial' | 'height'
+     * @param {boolean} [options.reverse] - Flip the stagger order
+     * @param {boolean} [options.match] - Reassign slots so particles travel short paths
+     */
+    setShape(type, options = {}) {
+        const shape = getShape(type);
+        if (!shape) return;
+
+        const { params = {}, ...overrides } = options;
+        const settings = { ...DEFAULT_TRANSITION, ...overrides };
+        if (EASINGS[settings.easing] === undefined) {
+            throw new Error(`Unknown easing "${settings.easing}"`);
+        }
+
+        let target = generateShape(type, this.count, params);
+        if (settings.match) {
+            // Settled particles sit on the previous target
+            target = this.matchTarget(this.targetPositions, target);
+        }
+
+        this.currentShape = type;
+        this.shapeParams = params;
+        this.writeTarget(target, shape.color, staggerDelays(target.positions, settings.order, settings.reverse));
+        this.setPhysics(shape.physics);
+        this.setEmitter(shape.emitter);
+        this.startTransition(type, settings);
+    }
+
+    /**
+     * Turn emitter mode on with a shape's emitter settings, or off with null.
+     * Entering it lets the current shape fall apart and fade out.
+     * @param {object|null} emitter - See DEFAULT_EMITTER in shapeRegistry.js
+     */
+    setEmitter(emitter) {
+        const uniforms = this.emitterUniforms;
+        if (emitter && !this.emitter) uniforms.uEmitterReset.value = 1; // For one step
+        this.emitter = emitter;
+        uniforms.uEmitter.value = emitter ? 1 : 0;
+
+        if (!emitter) {
+            this.bursts = [];
+            return;
+        }
+        uniforms.uBurstSpeed.value = emitter.speed;
+        uniforms.uGravity.value.set(0, emitter.gravity, 0);
+        uniforms.uEmitterDrag.value = emitter.drag;
+        uniforms.uBurstLifetime.value.fromArray(emitter.lifetime);
+    }
+
+    /**
+     * Launch a burst in emitter mode; it recycles the oldest particles.
+     * @param {THREE.Vector3} position - World position
+     */
+    burst(position) {
+        if (!this.emitter) return;
+        const { colors } = this.emitter;
+        this.bursts.push({
+            position: position.clone(),
+            color: colors[Math.floor(random() * colors.length)]
+        });
+    }
+
+    /**
+     * Reorder a generated shape so slot i lies close to from[i].
+     */
+    matchTarget(from, { positions, colors, generated }) {
+        const matched = matchTargets(from, positions, colors ? [colors] : []);
+        return { positions: matched.positions, colors: colors ? matched.attributes[0] : null, generated };
+    }
+
+    startTransition(type, { duration, stagger, easing }) {
+        // The path starts wherever particles are right now, even mid-transition
+        this.gpgpu.copy(this.gpgpu.getTexture('uPositions'), this.fromTarget);
+
+        const simUniforms = this.velocities.material.uniforms;
+        simUniforms.uDuration.value = duration;
+        simUniforms.uStagger.value = Math.min(Math.max(stagger, 0), 1);
+        simUniforms.uEasing.value = EASINGS[easing];
+        simUniforms.uTransitionTime.value = 0;
+
+        this.transition = { shape: type, duration, start: this.simTime };
+        this.dispatchEvent({ type: 'transitionstart', shape: type, duration });
+    }
+
+    /**
+     * Swap a shape's palette at runtime; the current shape recolours in place
+     * and blends over like any other colour change.
+     * @param {import('../utils/palettes').PaletteDefinition|null} palette - null restores the flat colour
+     * @param {string} type - Shape name, defaults to the current shape
+     */
+    setPalette(palette, type = this.currentShape) {
+        setShapePalette(type, palette);
+        if (type === this.currentShape) this.recolor();
+    }
+
+    /**
+     * Re-apply the current shape's palette or flat colour after editing it
+     * in the registry. Colours from the generator (images, models) stay, as
+     * they win over the palette in generateShape too.
+     */
+    recolor() {
+        const type = this.currentShape;
+        const colors = this.generatedColors ?? shadeShape(type, this.targetPositions);
+        this.writeColors(colors, getShape(type).color);
+    }
+
+    /**
+     * Spell a string and morph to it.
+     * @param {string} text - Lines separated by "\n"
+     * @param {object} options - fontFamily, fontWeight, depth
+     */
+    setText(text, options = {}) {
+        setShapeParams('TEXT', { ...options, text });
+        this.setShape('TEXT');
+    }
 
-            // 1. Lerp to Target Shape
-            // Add some noise to the lerp for organic feel
-            const speed = 0.03 + (Math.random() * 0.02);
-
-            let tx = this.targetPositions[i3];
-            let ty = this.targetPositions[i3 + 1];
-            let tz = this.targetPositions[i3 + 2];
-
-            // 2. Apply Interaction
-            if (active) {
-                const dx = positions[i3] - interactX;
-                const dy = positions[i3 + 1] - interactY;
-                const dz = positions[i3 + 2];
-                const dist = Math.sqrt(dx * dx + dy * dy + dz * dz);
-                const interactRadius = 60; // Larger influence area
-
-                if (dist < interactRadius) {
-                    const force = (interactRadius - dist) / interactRadius;
-
-                    if (repel) {
-                        // REPEL: Push away from cursor/hand
-                        // Use exponential falloff for impact
-                        const f = force * 8.0;
-                        tx += dx * f;
-                        ty += dy * f;
-                        tz += dz * f;
-                    } else if (attract) { // Changed from 'else' to 'else if (attract)'
-                        // ATTRACT (PINCH): Pull towards center but keep volume
-                        // Pull towards interaction point
-                        const f = force * 2.5;
-                        tx -= dx * f;
-                        ty -= dy * f;
-                        tz -= dz * f;
-
-                        // Add swirl/noise to prevent collapse to singularity
-                        tx += (Math.random() - 0.5) * 5.0;
-                        ty += (Math.random() - 0.5) * 5.0;
-                    }
+    update(time, inputState) {
+        this.material.uniforms.uTime.value = time;
+
+        // Input Forces (Normalized -1 to 1 => Scale to World Bounds approx 60-100)
+        // Logic, per hand:
+        // If OPEN in emitter mode -> Burst, repeating while held
+        // If FIREWORKS/OPEN -> Repel
+        // If PINCHING -> Attract, as strongly as the pinch squeezes (pinchStrength)
+        // Else -> Neutral/Idle (just shape morph)
+        // Both hands pinching grabs the shape instead
+        const hands = (inputState && inputState.hands) || [];
+        const grabbing = this.updateGrab(hands);
+        const { scale, radius, repelStrength, attractStrength, attractJitter } = this.interaction;
+
+        this.handForces.forEach((force, i) => {
+            const hand = hands[i];
+            const open = Boolean(hand) && !grabbing && hand.gesture === 'OPEN';
+            if (!open || !this.emitter) this.lastBursts[i] = null;
+
+            force.enabled = false;
+            if (!hand || grabbing) return;
+
+            this.handToWorld(hand, scale, force.position);
+            force.radius = radius;
+
+            if (open && this.emitter) {
+                const last = this.lastBursts[i];
+                if (last === null || this.simTime - last >= this.emitter.repeat) {
+                    this.burst(force.position);
+                    this.lastBursts[i] = this.simTime;
                 }
+            } else if (hand.gesture === 'OPEN' || hand.mouseHover) {
+                Object.assign(force, { enabled: true, type: 'REPELLER', strength: repelStrength, jitter: 0 });
+            } else if (hand.isPinching) {
+                const strength = attractStrength * (hand.pinchStrength ?? 1);
+                Object.assign(force, { enabled: true, type: 'ATTRACTOR', strength, jitter: attractJitter });
             }
+        });
+
+        // Fixed timestep: run as many steps as real time has accumulated
+        const delta = this.lastTime === null ? STEP : Math.max(time - this.lastTime, 0);
+        this.lastTime = time;
+
+        if (Math.abs(this.spinVelocity) > 0.01 && !grabbing) {
+            this.transform.rotation += this.spinVelocity * delta;
+            this.spinVelocity *= Math.exp(-SPIN_DECAY * delta);
+            this.applyTransform();
+        }
+        this.explosion.enabled = this.simTime < this.explosionEnd;
+        this.forceField.sync();
+        this.accumulator += delta;
+
+        let steps = 0;
+        while (this.accumulator >= STEP && steps < MAX_STEPS_PER_FRAME) {
+            this.step();
+            this.accumulator -= STEP;
+            steps++;
+        }
+        if (steps === MAX_STEPS_PER_FRAME) this.accumulator = 0;
+
+        this.material.uniforms.uPositions.value = this.gpgpu.getTexture('uPositions');
+        this.material.uniforms.uColors.value = this.gpgpu.getTexture('uColors');
+        this.material.uniforms.uLife.value = this.gpgpu.getTexture('uLife');
+    }
+
+    /**
+     * Normalised hand position -> world, on the plane through the origin
+     * facing the camera, so hands line up with what is on screen.
+     */
+    handToWorld(hand, scale, target) {
+        target.set(hand.x * scale, hand.y * scale, 0);
+        if (!this.camera) return target;
+        return target
+            .multiplyScalar(this.camera.position.length() / VIEW_DISTANCE)
+            .applyQuaternion(this.camera.quaternion);
+    }
+
+    /**
+     * Two-hand manipulation: while both hands pinch, spreading scales the
+     * shape, turning the line between them rotates it and moving both
+     * translates it. The transform persists after release.
+     * @returns {boolean} Whether the shape is currently grabbed
+     */
+    updateGrab(hands) {
+        if (hands.length < 2 || !hands[0].isPinching || !hands[1].isPinching) {
+            this.grab = null;
+            return false;
+        }
 
-            // Standard Lerp with variable speed for organic movement
-            positions[i3] += (tx - positions[i3]) * speed;
-            positions[i3 + 1] += (ty - positions[i3 + 1]) * speed;
-            positions[i3 + 2] += (tz - positions[i3 + 2]) * speed;
+        // Order by x so the angle doesn't flip when the tracker swaps hands
+        const [a, b] = [hands[0], hands[1]].sort((p, q) => p.x - q.x);
+        const distance = Math.max(Math.hypot(b.x - a.x, b.y - a.y), 0.01);
+        const angle = Math.atan2(b.y - a.y, b.x - a.x);
+        const midX = (a.x + b.x) / 2;
+        const midY = (a.y + b.y) / 2;
 
-            // Update Colors (Gradient effect based on index/pos)
-            colorArray[i3] = this.currentColor.r + Math.sin(time * 2.0 + i) * 0.1; // Pulsing color
-            colorArray[i3 + 1] = this.currentColor.g + Math.cos(time * 1.5 + i) * 0.1;
-            colorArray[i3 + 2] = this.currentColor.b;
+        if (!this.grab) {
+            this.grab = { distance, angle, midX, midY, start: { ...this.transform } };
         }
 
-        this.geometry.attributes.position.needsUpdate = true;
-        this.geometry.attributes.aColor.needsUpdate = true;
+        const { start } = this.grab;
+        const scale = this.interaction.scale;
+        this.transform = {
+            scale: THREE.MathUtils.clamp(start.scale * distance / this.grab.distance, 0.2, 5),
+            rotation: start.rotation + angleDelta(angle, this.grab.angle),
+            x: start.x + (midX - this.grab.midX) * scale,
+            y: start.y + (midY - this.grab.midY) * scale
+        };
+        this.applyTransform();
+        return true;
+    }
+
+    resetTransform() {
+        this.transform = { scale: 1, rotation: 0, x: 0, y: 0 };
+        this.grab = null;
+        this.spinVelocity = 0;
+        this.applyTransform();
+    }
+
+    /**
+     * Set the shape turning about z; it winds down on its own.
+     * @param {number} velocity - Radians per second, positive is anticlockwise
+     */
+    spin(velocity) {
+        this.spinVelocity = velocity;
+    }
+
+    /**
+     * Blast particles outward from the shape's centre; springs bring them back.
+     * @param {number} [strength=1500] - Acceleration, units/s²
+     * @param {number} [duration=0.2] - Seconds
+     */
+    explode(strength = 1500, duration = 0.2) {
+        this.explosion.position.set(this.transform.x, this.transform.y, 0);
+        this.explosion.strength = strength;
+        this.explosionEnd = this.simTime + duration;
+    }
+
+    applyTransform() {
+        const { scale, rotation, x, y } = this.transform;
+        this.shapeMatrix.value.compose(
+            new THREE.Vector3(x, y, 0),
+            new THREE.Quaternion().setFromAxisAngle(Z_AXIS, rotation),
+            new THREE.Vector3(scale, scale, scale)
+        );
+    }
+
+    /**
+     * Advance the simulation by one fixed step.
+     */
+    step() {
+        const simUniforms = this.velocities.material.uniforms;
+        this.simTime += STEP;
+        simUniforms.uTime.value = this.simTime;
+        this.life.material.uniforms.uTime.value = this.simTime;
+
+        if (this.transition) {
+            const elapsed = this.simTime - this.transition.start;
+            simUniforms.uTransitionTime.value = elapsed;
+
+            if (elapsed >= this.transition.duration) {
+                // Path is complete: spring straight to the target from here on
+                const { shape, duration } = this.transition;
+                this.transition = null;
+                simUniforms.uDuration.value = 0;
+                this.dispatchEvent({ type: 'transitionend', shape, duration });
+            }
+        }
+
+        const emitter = this.emitterUniforms;
+        const burst = this.bursts.shift();
+        if (burst) {
+            const count = Math.max(1, Math.round(this.count * this.emitter.burstSize));
+            emitter.uBurstStart.value = this.burstCursor;
+            emitter.uBurstCount.value = count;
+            emitter.uBurstOrigin.value.copy(burst.position);
+            emitter.uBurstColor.value.copy(burst.color);
+            this.burstCursor = (this.burstCursor + count) % this.count;
+        }
+
+        this.gpgpu.compute();
+
+        // Bursts and the emitter reset last a single step
+        emitter.uBurstCount.value = 0;
+        emitter.uEmitterReset.value = 0;
     }
 
     dispose() {
         this.geometry.dispose();
         this.material.dispose();
+        this.targetTexture.dispose();
+        this.targetColorTexture.dispose();
+        this.fromTarget.dispose();
+        this.gpgpu.dispose();
         this.scene.remove(this.points);
     }
 }
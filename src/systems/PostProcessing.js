@@ -0,0 +1,189 @@
+import * as THREE from 'three';
+import { EffectComposer } from 'three/addons/postprocessing/EffectComposer.js';
+import { RenderPass } from 'three/addons/postprocessing/RenderPass.js';
+import { AfterimagePass } from 'three/addons/postprocessing/AfterimagePass.js';
+import { UnrealBloomPass } from 'three/addons/postprocessing/UnrealBloomPass.js';
+import { ShaderPass } from 'three/addons/postprocessing/ShaderPass.js';
+import { OutputPass } from 'three/addons/postprocessing/OutputPass.js';
+import { getShape } from '../utils/shapeRegistry';
+import lensVert from '../shaders/simulationVert.glsl';
+import lensFrag from '../shaders/lensFrag.glsl';
+
+/**
+ * Post-Processing
+ * scene -> afterimage trails -> bloom -> chromatic aberration + vignette ->
+ * tone mapping / sRGB. Settings are the runtime base plus the current
+ * shape's `post` overrides (see shapeRegistry); numbers ease towards a new
+ * shape's values, toggles switch right away.
+ */
+
+export const DEFAULT_POST = {
+    bloom: { enabled: true, strength: 1.0, radius: 0.4, threshold: 0.1 },
+    afterimage: { enabled: false, damp: 0.85 },       // Share of the previous frame kept
+    chromaticAberration: { enabled: true, amount: 0.006 },
+    vignette: { enabled: true, offset: 1.0, darkness: 1.2 },
+    toneMapping: { enabled: true, exposure: 1.0 }
+};
+
+const BLEND_RATE = 4; // 1/s, how fast numbers follow a shape change
+
+/**
+ * Two-level merge ({ pass: { setting: value } }); unknown keys are errors.
+ */
+const mergeSettings = (base, overrides = {}) => {
+    const merged = {};
+    Object.keys(base).forEach((pass) => {
+        merged[pass] = { ...base[pass] };
+    });
+
+    Object.entries(overrides).forEach(([pass, values]) => {
+        if (!merged[pass]) throw new Error(`Unknown post pass "${pass}"`);
+        Object.entries(values).forEach(([key, value]) => {
+            if (!(key in merged[pass])) throw new Error(`Unknown ${pass} setting "${key}"`);
+            merged[pass][key] = value;
+        });
+    });
+
+    return merged;
+};
+
+export class PostProcessing {
+    /**
+     * @param {THREE.WebGLRenderer} renderer
+     * @param {THREE.Scene} scene
+     * @param {THREE.Camera} camera
+     * @param {object} [settings] - Overrides for DEFAULT_POST
+     */
+    constructor(renderer, scene, camera, settings = {}) {
+        this.renderer = renderer;
+        this.scene = scene;
+        this.camera = camera;
+        this.enabled = true;
+        this.base = mergeSettings(DEFAULT_POST, settings);
+        this.shapeOverrides = {};
+        this.target = this.base;
+        this.current = mergeSettings(this.base);
+
+        const size = renderer.getSize(new THREE.Vector2());
+        this.composer = new EffectComposer(renderer);
+        this.composer.addPass(new RenderPass(scene, camera));
+
+        this.afterimagePass = new AfterimagePass();
+        this.composer.addPass(this.afterimagePass);
+
+        this.bloomPass = new UnrealBloomPass(size, 0, 0, 0);
+        this.composer.addPass(this.bloomPass);
+
+        this.lensPass = new ShaderPass({
+            uniforms: {
+                tDiffuse: { value: null },
+                uAberration: { value: 0 },
+                uVignetteOffset: { value: 0 },
+                uVignetteDarkness: { value: 0 }
+            },
+            vertexShader: lensVert,
+            fragmentShader: lensFrag
+        });
+        this.composer.addPass(this.lensPass);
+
+        this.composer.addPass(new OutputPass());
+
+        this.apply();
+    }
+
+    /**
+     * Tune passes at runtime, e.g. configure({ bloom: { strength: 2 } }).
+     * Shape overrides still apply on top.
+     */
+    configure(settings) {
+        this.base = mergeSettings(this.base, settings);
+        this.retarget(true);
+    }
+
+    /**
+     * Blend to a shape's `post` overrides.
+     * @param {string} name - Shape name in the registry
+     */
+    setShape(name) {
+        const shape = getShape(name);
+        this.shapeOverrides = (shape && shape.post) || {};
+        this.retarget(false);
+    }
+
+    /**
+     * @param {boolean} enabled - false draws the scene straight to the screen
+     */
+    setEnabled(enabled) {
+        this.enabled = enabled;
+        this.apply();
+    }
+
+    retarget(immediate) {
+        this.target = mergeSettings(this.base, this.shapeOverrides);
+
+        // Toggles never blend
+        Object.keys(this.target).forEach((pass) => {
+            this.current[pass].enabled = this.target[pass].enabled;
+        });
+        if (immediate) this.current = mergeSettings(this.target);
+        this.apply();
+    }
+
+    apply() {
+        const { bloom, afterimage, chromaticAberration, vignette, toneMapping } = this.current;
+
+        this.bloomPass.enabled = bloom.enabled;
+        this.bloomPass.strength = bloom.strength;
+        this.bloomPass.radius = bloom.radius;
+        this.bloomPass.threshold = bloom.threshold;
+
+        this.afterimagePass.enabled = afterimage.enabled;
+        this.afterimagePass.uniforms.damp.value = afterimage.damp;
+
+        const lens = this.lensPass.uniforms;
+        this.lensPass.enabled = chromaticAberration.enabled || vignette.enabled;
+        lens.uAberration.value = chromaticAberration.enabled ? chromaticAberration.amount : 0;
+        lens.uVignetteOffset.value = vignette.enabled ? vignette.offset : 0;
+        lens.uVignetteDarkness.value = vignette.darkness;
+
+        this.renderer.toneMapping = this.enabled && toneMapping.enabled
+            ? THREE.ACESFilmicToneMapping
+            : THREE.NoToneMapping;
+        this.renderer.toneMappingExposure = toneMapping.exposure;
+    }
+
+    /**
+     * Draw a frame through the chain.
+     * @param {number} delta - Seconds since the last frame, drives shape blending
+     */
+    render(delta) {
+        const t = 1 - Math.exp(-BLEND_RATE * delta);
+        Object.entries(this.target).forEach(([pass, values]) => {
+            Object.entries(values).forEach(([key, value]) => {
+                if (typeof value === 'number') {
+                    this.current[pass][key] += (value - this.current[pass][key]) * t;
+                }
+            });
+        });
+        this.apply();
+
+        if (this.enabled) {
+            this.composer.render(delta);
+        } else {
+            this.renderer.render(this.scene, this.camera);
+        }
+    }
+
+    setSize(width, height) {
+        this.composer.setSize(width, height);
+    }
+
+    setPixelRatio(ratio) {
+        this.composer.setPixelRatio(ratio);
+    }
+
+    dispose() {
+        this.composer.passes.forEach((pass) => pass.dispose && pass.dispose());
+        this.composer.dispose();
+    }
+}
@@ -0,0 +1,155 @@
+import * as THREE from 'three';
+
+/**
+ * Adaptive Quality
+ * Trades particle count, pixel ratio and point size for frame rate. Fixed
+ * tiers pin a level; 'auto' measures frame time and walks the ladder,
+ * backing off a level that could not hold the target for a while.
+ * setSize pins an exact particle count (tier 'custom').
+ * Events: 'change' ({ tier, level, size, pixelRatio }), 'sample' ({ fps }).
+ */
+
+// Cheapest first. size = simulation texture size (size² particles);
+// fewer particles get slightly larger points so shapes stay filled in
+export const QUALITY_LEVELS = [
+    { size: 128, pixelRatio: 1, pointScale: 1.3 },
+    { size: 192, pixelRatio: 1, pointScale: 1.2 },
+    { size: 256, pixelRatio: 1.25, pointScale: 1.1 },
+    { size: 320, pixelRatio: 1.5, pointScale: 1.05 },
+    { size: 384, pixelRatio: 1.5, pointScale: 1 },
+    { size: 448, pixelRatio: 2, pointScale: 1 },
+    { size: 512, pixelRatio: 2, pointScale: 1 }
+];
+
+// Level index per tier; 'auto' starts from medium
+export const QUALITY_TIERS = {
+    low: 1,
+    medium: 3,
+    high: 6,
+    auto: 3
+};
+
+const SAMPLE_WINDOW = 1;   // Seconds of frames per measurement
+const SETTLE_TIME = 2;     // Seconds ignored after a change (reallocation hitch)
+const DOWNGRADE_AFTER = 2; // Consecutive slow samples
+const UPGRADE_AFTER = 3;   // Consecutive fast samples
+const RETRY_AFTER = 30;    // Seconds before retrying a level that was too slow
+const MAX_FRAME_TIME = 0.25; // Longer frames are stalls (hidden tab), not load
+
+/**
+ * @param {string} tier - Key of QUALITY_TIERS
+ * @returns {{ size: number, pixelRatio: number, pointScale: number }}
+ */
+export const getQualityLevel = (tier) => {
+    if (QUALITY_TIERS[tier] === undefined) throw new Error(`Unknown quality tier "${tier}"`);
+    return QUALITY_LEVELS[QUALITY_TIERS[tier]];
+};
+
+export class QualityController extends THREE.EventDispatcher {
+    /**
+     * @param {THREE.WebGLRenderer} renderer
+     * @param {import('./ParticleSystem').ParticleSystem} particleSystem
+     * @param {object} options
+     * @param {string} [options.tier='auto'] - Key of QUALITY_TIERS
+     * @param {number} [options.targetFps=60] - Frame rate 'auto' tries to hold
+     */
+    constructor(renderer, particleSystem, { tier = 'auto', targetFps = 60 } = {}) {
+        super();
+        this.renderer = renderer;
+        this.particleSystem = particleSystem;
+        this.targetFps = targetFps;
+        this.level = null;
+        this.fps = 0;
+        this.setTier(tier);
+    }
+
+    /**
+     * @param {string} tier - 'low' | 'medium' | 'high' | 'auto'
+     */
+    setTier(tier) {
+        if (QUALITY_TIERS[tier] === undefined) throw new Error(`Unknown quality tier "${tier}"`);
+        this.tier = tier;
+        this.failedAt = new Map(); // Level index -> elapsed time it was too slow
+        this.elapsed = 0;
+        this.apply(QUALITY_TIERS[tier]);
+    }
+
+    /**
+     * Pin an exact simulation size (size² particles); pixel ratio and point
+     * scale stay at the current level's.
+     * @param {number} size
+     */
+    setSize(size) {
+        this.tier = 'custom';
+        this.particleSystem.resize(size);
+        this.resetWindow();
+        this.dispatchEvent({
+            type: 'change', tier: this.tier, level: this.level, size, pixelRatio: this.renderer.getPixelRatio()
+        });
+    }
+
+    /**
+     * Record a frame; call once per rendered frame.
+     * @param {number} delta - Seconds since the previous frame
+     */
+    update(delta) {
+        if (delta > MAX_FRAME_TIME) {
+            this.resetWindow();
+            return;
+        }
+
+        this.elapsed += delta;
+        this.settle -= delta;
+        this.windowTime += delta;
+        this.windowFrames++;
+        if (this.windowTime < SAMPLE_WINDOW) return;
+
+        this.fps = this.windowFrames / this.windowTime;
+        this.resetWindow();
+        this.dispatchEvent({ type: 'sample', fps: this.fps });
+
+        if (this.tier !== 'auto' || this.settle > 0) return;
+        this.adapt();
+    }
+
+    adapt() {
+        // Vsync caps the frame rate, so "at the target" is as fast as it gets
+        if (this.fps < this.targetFps * 0.85) {
+            this.fast = 0;
+            if (++this.slow < DOWNGRADE_AFTER || this.level === 0) return;
+            this.failedAt.set(this.level, this.elapsed);
+            this.apply(this.level - 1);
+        } else if (this.fps > this.targetFps * 0.95) {
+            this.slow = 0;
+            if (++this.fast < UPGRADE_AFTER || this.level === QUALITY_LEVELS.length - 1) return;
+            const failed = this.failedAt.get(this.level + 1);
+            if (failed !== undefined && this.elapsed - failed < RETRY_AFTER) return;
+            this.apply(this.level + 1);
+        } else {
+            this.slow = 0;
+            this.fast = 0;
+        }
+    }
+
+    apply(level) {
+        const { size, pixelRatio, pointScale } = QUALITY_LEVELS[level];
+        const ratio = Math.min(window.devicePixelRatio, pixelRatio);
+
+        this.renderer.setPixelRatio(ratio);
+        this.particleSystem.setPixelRatio(ratio);
+        this.particleSystem.setPointScale(pointScale);
+        this.particleSystem.resize(size);
+
+        this.level = level;
+        this.slow = 0;
+        this.fast = 0;
+        this.settle = SETTLE_TIME;
+        this.resetWindow();
+        this.dispatchEvent({ type: 'change', tier: this.tier, level, size, pixelRatio: ratio });
+    }
+
+    resetWindow() {
+        this.windowTime = 0;
+        this.windowFrames = 0;
+    }
+}
@@ -0,0 +1,293 @@
+import { checkBinding, GESTURE_KEYS, getBindings, setGestureBinding } from './gestureBindings'
+
+/**
+ * Custom Gestures
+ * Poses users train themselves: hold a pose while it is recorded, label it,
+ * and it is matched from then on by k-nearest-neighbours over normalised
+ * landmarks, beside the built-in classifier. What a trained gesture does
+ * is set in the binding table, like any other gesture. Kept in a registry
+ * like the shapes; persisted in localStorage and shared as JSON (files carry
+ * each gesture's binding along).
+ */
+
+export const CUSTOM_GESTURES_VERSION = 2
+
+// Tunable at runtime
+export const CUSTOM_SETTINGS = {
+    k: 5,              // Neighbours that vote
+    maxDistance: 0.35, // RMS landmark distance, palm lengths; further is no match
+    recordTime: 3      // Seconds a pose is held while recording
+}
+
+const STORAGE_KEY = 'customGestures'
+const MAX_SAMPLES = 60 // Per gesture; recordings are thinned out evenly
+const MAX_NAME_LENGTH = 32
+const LANDMARK_COUNT = 21
+export const FEATURE_LENGTH = (LANDMARK_COUNT - 1) * 3 // The wrist is the origin
+
+const WRIST = 0
+const MIDDLE_MCP = 9
+
+const gestures = new Map()
+
+// Registry key for a user-typed name
+const toLabel = (name) => name.trim().toUpperCase()
+
+/**
+ * @param {string} label - See toLabel
+ * @returns {string|null} What is wrong with it, or null
+ */
+const checkLabel = (label) => {
+    if (!label || label.length > MAX_NAME_LENGTH) return `must be 1 to ${MAX_NAME_LENGTH} characters`
+    // A trained gesture named like a built-in one would share its bindings
+    if (GESTURE_KEYS.includes(label)) return 'must not be a built-in gesture'
+    return null
+}
+
+/**
+ * Landmarks -> feature vector that ignores where the hand is, how big it
+ * appears and how it is turned in the image plane. Left hands are mirrored,
+ * so a pose trained with one hand matches the other.
+ * @param {Array<{x: number, y: number, z?: number}>} landmarks - 21 MediaPipe landmarks
+ * @param {object} [options]
+ * @param {'Left'|'Right'|null} [options.handedness] - Physical hand
+ * @param {number} [options.aspect=4/3] - Image width / height
+ * @returns {number[]} FEATURE_LENGTH values
+ */
+export const extractFeatures = (landmarks, { handedness = null, aspect = 4 / 3 } = {}) => {
+    const points = landmarks.map(l => [l.x * aspect, l.y, (l.z ?? 0) * aspect])
+    const [wx, wy, wz] = points[WRIST]
+    const ax = points[MIDDLE_MCP][0] - wx
+    const ay = points[MIDDLE_MCP][1] - wy
+    const palm = Math.hypot(ax, ay) || 1
+
+    // Rotate wrist -> middle knuckle onto -y (up in the image)
+    const cos = -ay / palm
+    const sin = ax / palm
+    const mirror = handedness === 'Left' ? -1 : 1
+
+    const features = []
+    for (let i = 1; i < LANDMARK_COUNT; i++) {
+        const x = points[i][0] - wx
+        const y = points[i][1] - wy
+        features.push(
+            mirror * (x * cos + y * sin) / palm,
+            (y * cos - x * sin) / palm,
+            (points[i][2] - wz) / palm // Depth is not mirrored
+        )
+    }
+    return features
+}
+
+// RMS distance between two feature vectors, in palm lengths
+const featureDistance = (a, b) => {
+    let sum = 0
+    for (let i = 0; i < a.length; i++) sum += (a[i] - b[i]) ** 2
+    return Math.sqrt(sum / (a.length / 3))
+}
+
+/**
+ * k-nearest-neighbour vote over trained samples.
+ * @param {number[]} features - See extractFeatures
+ * @param {Array<{name: string, samples: number[][]}>} [trained] - Defaults to the registry
+ * @param {object} [settings=CUSTOM_SETTINGS]
+ * @returns {{ name: string, confidence: number, distance: number }|null} null when nothing is close enough
+ */
+export const matchFeatures = (features, trained = getCustomGestures(), settings = CUSTOM_SETTINGS) => {
+    const neighbours = []
+    trained.forEach(({ name, samples }) => {
+        samples.forEach(sample => neighbours.push({ name, distance: featureDistance(features, sample) }))
+    })
+    if (neighbours.length === 0) return null
+
+    const nearest = neighbours.sort((a, b) => a.distance - b.distance).slice(0, settings.k)
+    const votes = new Map()
+    nearest.forEach(({ name }) => votes.set(name, (votes.get(name) ?? 0) + 1))
+
+    const [name, count] = Array.from(votes.entries()).reduce((a, b) => (b[1] > a[1] ? b : a))
+    const distance = nearest.find(n => n.name === name).distance
+    if (distance > settings.maxDistance) return null
+
+    return { name, confidence: (count / nearest.length) * (1 - distance / settings.maxDistance), distance }
+}
+
+/**
+ * Match one hand against the trained gestures.
+ * @param {Array<{x: number, y: number, z?: number}>} landmarks
+ * @param {object} [options] - See extractFeatures
+ */
+export const matchCustomGesture = (landmarks, options) => {
+    if (gestures.size === 0) return null
+    return matchFeatures(extractFeatures(landmarks, options))
+}
+
+/**
+ * Collects feature vectors for CUSTOM_SETTINGS.recordTime seconds.
+ */
+export const createGestureRecorder = (duration = CUSTOM_SETTINGS.recordTime) => {
+    const samples = []
+    let start = null
+
+    return {
+        samples,
+        /**
+         * @param {number[]} features
+         * @param {number} time - Seconds
+         * @returns {boolean} Whether the recording is complete
+         */
+        push(features, time) {
+            if (start === null) start = time
+            samples.push(features)
+            return time - start >= duration
+        },
+        progress(time) {
+            return start === null ? 0 : Math.min((time - start) / duration, 1)
+        }
+    }
+}
+
+// Every n-th sample so at most MAX_SAMPLES remain
+const thin = (samples) => {
+    if (samples.length <= MAX_SAMPLES) return samples
+    return Array.from({ length: MAX_SAMPLES }, (_, i) => samples[Math.floor(i * samples.length / MAX_SAMPLES)])
+}
+
+// --- REGISTRY ---
+
+/**
+ * Train a gesture; more samples for an existing name are added to it.
+ * @param {string} name - Trimmed and upper-cased; built-in gesture names are refused
+ * @param {number[][]} samples - Feature vectors, see extractFeatures
+ */
+export const addCustomGesture = (name, samples) => {
+    const label = toLabel(name)
+    const labelError = checkLabel(label)
+    if (labelError) throw new Error(`Gesture name "${label}" ${labelError}`)
+    if (samples.length === 0) throw new Error(`No samples recorded for "${label}"`)
+
+    const existing = gestures.get(label)
+    const gesture = {
+        name: label,
+        samples: thin([...(existing ? existing.samples : []), ...samples])
+    }
+    gestures.set(label, gesture)
+    return gesture
+}
+
+export const removeCustomGesture = (name) => gestures.delete(name)
+
+export const getCustomGesture = (name) => gestures.get(name) ?? null
+
+export const getCustomGestures = () => Array.from(gestures.values())
+
+// --- PERSISTENCE ---
+
+const isObject = (v) => typeof v === 'object' && v !== null && !Array.isArray(v)
+
+const round = (n) => Math.round(n * 10000) / 10000
+
+// A gesture's entry in the binding table, without the gesture name
+const findBinding = (name) => {
+    const found = getBindings().find(b => b.gesture === name)
+    if (!found) return null
+    const binding = { ...found }
+    delete binding.gesture
+    return binding
+}
+
+// Version 1 bound { shape } or { action } directly
+const upgradeBinding = (binding) =>
+    binding && binding.shape !== undefined ? { action: 'SET_SHAPE', shape: binding.shape } : binding
+
+/**
+ * JSON-ready snapshot of the registry.
+ * @param {object} [options]
+ * @param {boolean} [options.bindings=true] - Include each gesture's binding
+ */
+export const serializeCustomGestures = ({ bindings = true } = {}) => ({
+    version: CUSTOM_GESTURES_VERSION,
+    gestures: getCustomGestures().map(({ name, samples }) => ({
+        name,
+        ...(bindings ? { binding: findBinding(name) } : {}),
+        samples: samples.map(sample => sample.map(round))
+    }))
+})
+
+/**
+ * Parse and validate, listing every problem.
+ * @param {string|object} input - JSON text or an already parsed object
+ * @returns {Array<{name: string, samples: number[][], binding?: object|null}>} Names as registry labels; binding is absent when the file has none
+ */
+export const parseCustomGestures = (input) => {
+    let data = input
+    if (typeof input === 'string') {
+        try {
+            data = JSON.parse(input)
+        } catch (err) {
+            throw new Error(`Invalid gestures: not JSON (${err.message})`)
+        }
+    }
+    if (!isObject(data) || !Array.isArray(data.gestures)) {
+        throw new Error('Invalid gestures: must be an object with a gestures array')
+    }
+    if (data.version !== 1 && data.version !== CUSTOM_GESTURES_VERSION) {
+        throw new Error(`Invalid gestures: version must be 1 to ${CUSTOM_GESTURES_VERSION}`)
+    }
+
+    const errors = []
+    const parsed = data.gestures.map((gesture, i) => {
+        const path = `gestures[${i}]`
+        if (!isObject(gesture)) {
+            errors.push(`${path} must be an object`)
+            return null
+        }
+        const name = typeof gesture.name === 'string' ? toLabel(gesture.name) : ''
+        const nameError = checkLabel(name)
+        if (nameError) errors.push(`${path}.name ${nameError}`)
+        const valid = Array.isArray(gesture.samples) && gesture.samples.length > 0 && gesture.samples.every(s =>
+            Array.isArray(s) && s.length === FEATURE_LENGTH && s.every(n => typeof n === 'number' && Number.isFinite(n)))
+        if (!valid) errors.push(`${path}.samples must be a non-empty array of ${FEATURE_LENGTH}-number arrays`)
+
+        const entry = { name, samples: gesture.samples }
+        if (gesture.binding !== undefined) {
+            entry.binding = data.version === 1 ? upgradeBinding(gesture.binding) : gesture.binding
+            const bindingError = entry.binding === null ? null : checkBinding({ ...entry.binding, gesture: name })
+            if (bindingError) errors.push(`${path}.binding ${bindingError}`)
+        }
+        return entry
+    })
+
+    if (errors.length > 0) throw new Error(`Invalid gestures:\n- ${errors.join('\n- ')}`)
+    return parsed
+}
+
+/**
+ * Add parsed gestures to the registry; same-named gestures are replaced.
+ * @param {string|object} input - See parseCustomGestures
+ * @param {object} [options]
+ * @param {boolean} [options.replace=false] - Drop the current gestures first
+ */
+export const importCustomGestures = (input, { replace = false } = {}) => {
+    const parsed = parseCustomGestures(input)
+    if (replace) gestures.clear()
+    parsed.forEach(({ name, samples, binding }) => {
+        gestures.delete(name)
+        addCustomGesture(name, samples)
+        if (binding !== undefined) setGestureBinding(name, binding)
+    })
+    return parsed.length
+}
+
+// Bindings are stored with the rest of the table, see saveBindings
+export const saveCustomGestures = (storage = window.localStorage) => {
+    storage.setItem(STORAGE_KEY, JSON.stringify(serializeCustomGestures({ bindings: false })))
+}
+
+/**
+ * Replace the registry with the stored gestures, if any.
+ * @returns {number} Gestures loaded
+ */
+export const loadCustomGestures = (storage = window.localStorage) => {
+    const stored = storage.getItem(STORAGE_KEY)
+    return stored ? importCustomGestures(stored, { replace: true }) : 0
+}
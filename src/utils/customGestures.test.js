@@ -0,0 +1,126 @@
+import { afterEach, describe, it, expect } from 'vitest'
+import {
+    addCustomGesture,
+    CUSTOM_GESTURES_VERSION,
+    CUSTOM_SETTINGS,
+    extractFeatures,
+    FEATURE_LENGTH,
+    getCustomGesture,
+    getCustomGestures,
+    importCustomGestures,
+    matchCustomGesture,
+    matchFeatures,
+    parseCustomGestures,
+    removeCustomGesture
+} from './customGestures'
+import { getBindings, resetBindings } from './gestureBindings'
+import { hand, mirror, move, rotate, scale } from './fixtures/hands'
+
+const samples = [new Array(FEATURE_LENGTH).fill(0.1)]
+
+const file = (...gestures) => ({ version: CUSTOM_GESTURES_VERSION, gestures })
+
+afterEach(() => {
+    getCustomGestures().forEach(({ name }) => removeCustomGesture(name))
+    resetBindings()
+})
+
+describe('addCustomGesture', () => {
+    it('labels gestures trimmed and upper-cased', () => {
+        expect(addCustomGesture('  spock ', samples).name).toBe('SPOCK')
+        expect(getCustomGesture('SPOCK')).not.toBeNull()
+    })
+
+    it.each(['FIST', ' fist ', 'FINGERS_0', 'pinch', 'BOTH_PEACE', 'swipe_left'])('refuses the built-in name %j', (name) => {
+        expect(() => addCustomGesture(name, samples)).toThrow(/built-in/)
+        expect(getCustomGestures()).toEqual([])
+    })
+
+    it('refuses empty and overlong names', () => {
+        expect(() => addCustomGesture('   ', samples)).toThrow(/1 to 32 characters/)
+        expect(() => addCustomGesture('X'.repeat(33), samples)).toThrow(/1 to 32 characters/)
+    })
+})
+
+describe('importCustomGestures', () => {
+    it('keys the registry and the binding by the same label', () => {
+        importCustomGestures(file({ name: ' spock ', samples, binding: { action: 'SPIN' } }))
+        expect(getCustomGestures().map(g => g.name)).toEqual(['SPOCK'])
+        expect(getBindings().filter(b => b.action === 'SPIN' && !b.gesture.startsWith('CIRCLE')))
+            .toEqual([{ gesture: 'SPOCK', action: 'SPIN' }])
+    })
+
+    it('replaces a gesture imported under another spelling', () => {
+        addCustomGesture('SPOCK', [...samples, ...samples])
+        importCustomGestures(file({ name: 'spock', samples }))
+        expect(getCustomGesture('SPOCK').samples).toHaveLength(1)
+    })
+
+    it('refuses built-in names without importing anything', () => {
+        const input = file({ name: 'mine', samples }, { name: ' Fist', samples, binding: { action: 'SPIN' } })
+        expect(() => importCustomGestures(input)).toThrow('gestures[1].name must not be a built-in gesture')
+        expect(getCustomGestures()).toEqual([])
+        expect(getBindings().some(b => b.gesture === 'FIST' && b.action === 'SPIN')).toBe(false)
+    })
+
+    it('checks names after trimming', () => {
+        expect(() => parseCustomGestures(file({ name: '   ', samples }))).toThrow('gestures[0].name must be 1 to 32 characters')
+        expect(parseCustomGestures(file({ name: ` ${'x'.repeat(32)} `, samples }))[0].name).toBe('X'.repeat(32))
+    })
+})
+
+describe('extractFeatures', () => {
+    const PEACE = [0, 1, 1, 0, 0]
+
+    it('matches the same pose on either hand', () => {
+        const left = extractFeatures(hand(PEACE), { handedness: 'Left' })
+        const right = extractFeatures(mirror(hand(PEACE)), { handedness: 'Right' })
+        right.forEach((value, i) => expect(value).toBeCloseTo(left[i], 9))
+    })
+
+    it('ignores where the hand is, how big it appears and how it is turned', () => {
+        const features = extractFeatures(hand(PEACE))
+        const changed = extractFeatures(move(scale(rotate(hand(PEACE), 0.6), 1.7), -0.1, 0.05))
+        changed.forEach((value, i) => expect(value).toBeCloseTo(features[i], 9))
+    })
+
+    it('keeps different poses apart', () => {
+        const peace = extractFeatures(hand(PEACE))
+        const fist = extractFeatures(hand([0, 0, 0, 0, 0]))
+        expect(peace.some((value, i) => Math.abs(value - fist[i]) > 0.1)).toBe(true)
+    })
+})
+
+describe('matchCustomGesture', () => {
+    const train = (name, pose, handedness = 'Left') =>
+        addCustomGesture(name, [extractFeatures(hand(pose), { handedness })])
+
+    it('matches a pose trained with the other hand', () => {
+        train('VULCAN', [0, 1, 1, 0, 0])
+        const match = matchCustomGesture(mirror(rotate(hand([0, 1, 1, 0, 0]), -0.4)), { handedness: 'Right' })
+        expect(match.name).toBe('VULCAN')
+        expect(match.distance).toBeCloseTo(0, 9)
+        expect(match.confidence).toBeCloseTo(1, 9)
+    })
+
+    it('picks the nearest trained pose', () => {
+        train('VULCAN', [0, 1, 1, 0, 0])
+        train('KNOCK', [0, 0, 0, 0, 0])
+        expect(matchCustomGesture(hand([0, 0, 0, 0, 0]), { handedness: 'Left' }).name).toBe('KNOCK')
+    })
+
+    it('matches nothing beyond maxDistance', () => {
+        train('KNOCK', [0, 0, 0, 0, 0])
+        expect(matchCustomGesture(hand([1, 1, 1, 1, 1]), { handedness: 'Left' })).toBeNull()
+
+        const open = extractFeatures(hand([1, 1, 1, 1, 1]))
+        const { distance } = matchFeatures(open, getCustomGestures(), { ...CUSTOM_SETTINGS, maxDistance: Infinity })
+        expect(distance).toBeGreaterThan(CUSTOM_SETTINGS.maxDistance)
+        expect(matchFeatures(open, getCustomGestures(), { ...CUSTOM_SETTINGS, maxDistance: distance * 1.01 }).name).toBe('KNOCK')
+        expect(matchFeatures(open, getCustomGestures(), { ...CUSTOM_SETTINGS, maxDistance: distance * 0.99 })).toBeNull()
+    })
+
+    it('matches nothing with nothing trained', () => {
+        expect(matchCustomGesture(hand([0, 1, 1, 0, 0]), { handedness: 'Left' })).toBeNull()
+    })
+})
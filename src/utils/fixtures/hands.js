@@ -0,0 +1,77 @@
+/**
+ * Synthetic landmark fixtures for the gesture tests: a left hand seen
+ * palm-on in an unmirrored frame, fingers up, each finger straight or
+ * curled towards the camera.
+ */
+
+const THUMB_TIP = 4
+const INDEX_TIP = 8
+const KNUCKLES = [[0.45, 0.62], [0.5, 0.6], [0.55, 0.62], [0.6, 0.65]] // Index to pinky
+
+/**
+ * @param {number[]} pose - Thumb to pinky, 1 = extended
+ * @returns {Array<{x: number, y: number, z: number}>} 21 landmarks
+ */
+export const hand = (pose) => {
+    const landmarks = [{ x: 0.5, y: 0.8, z: 0 }, { x: 0.46, y: 0.77, z: 0 }, { x: 0.42, y: 0.72, z: 0 }]
+    landmarks.push(...(pose[0]
+        ? [{ x: 0.38, y: 0.67, z: 0 }, { x: 0.35, y: 0.62, z: 0 }]
+        : [{ x: 0.44, y: 0.68, z: -0.01 }, { x: 0.48, y: 0.67, z: -0.02 }]))
+    KNUCKLES.forEach(([x, y], k) => {
+        landmarks.push({ x, y, z: 0 })
+        landmarks.push(...(pose[k + 1]
+            ? [{ x, y: y - 0.05, z: 0 }, { x, y: y - 0.08, z: 0 }, { x, y: y - 0.1, z: 0 }]
+            : [{ x, y: y - 0.04, z: -0.03 }, { x, y: y - 0.01, z: -0.05 }, { x, y: y + 0.02, z: -0.03 }]))
+    })
+    return landmarks
+}
+
+// The same hand flipped left-right: how the right hand looks
+export const mirror = (landmarks) => landmarks.map(l => ({ ...l, x: 1 - l.x }))
+
+/**
+ * Thumb tip moved onto the index tip, or `gap` (image widths) beside it:
+ * the ring of OK, or a pinch.
+ */
+export const touchTips = (landmarks, gap = 0) => landmarks.map((l, i) =>
+    (i === THUMB_TIP ? { ...landmarks[INDEX_TIP], x: landmarks[INDEX_TIP].x + gap } : l))
+
+/**
+ * Both hands making a heart, left hand first: palms to the camera, thumbs
+ * pointing inwards, index tips touching above and thumb tips below.
+ */
+export const heart = () => {
+    // The right hand turned until its thumb tip is below its index tip, the thumb a little longer
+    const right = rotate(mirror(hand([1, 1, 0, 0, 0])), 0.9)
+        .map((l, i) => (i === THUMB_TIP ? { ...l, y: l.y + 0.05 } : l))
+    const x = (right[THUMB_TIP].x + right[INDEX_TIP].x) / 2
+    return [right.map(l => ({ ...l, x: 2 * x - l.x })), right]
+}
+
+export const move = (landmarks, dx, dy = 0) => landmarks.map(l => ({ ...l, x: l.x + dx, y: l.y + dy }))
+
+/**
+ * Turn in the image plane about the wrist, in isotropic units.
+ * @param {number} angle - Radians
+ * @param {number} [aspect=4/3] - Image width / height
+ */
+export const rotate = (landmarks, angle, aspect = 4 / 3) => {
+    const [wrist] = landmarks
+    const cos = Math.cos(angle)
+    const sin = Math.sin(angle)
+    return landmarks.map((l) => {
+        const x = (l.x - wrist.x) * aspect
+        const y = l.y - wrist.y
+        return { ...l, x: wrist.x + (x * cos - y * sin) / aspect, y: wrist.y + x * sin + y * cos }
+    })
+}
+
+// Bigger or smaller about the wrist, as if nearer or further from the camera
+export const scale = (landmarks, factor) => {
+    const [wrist] = landmarks
+    return landmarks.map(l => ({
+        x: wrist.x + (l.x - wrist.x) * factor,
+        y: wrist.y + (l.y - wrist.y) * factor,
+        z: l.z * factor
+    }))
+}
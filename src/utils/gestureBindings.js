@@ -0,0 +1,278 @@
+import { GESTURES, TWO_HAND_GESTURES } from './gestureDetection'
+import { MOTION_GESTURES } from './motionGestures'
+import { getShape } from './shapeRegistry'
+
+/**
+ * Gesture Bindings
+ * The one table that says what each gesture does. An entry binds a gesture
+ * (pose, finger count, pinch, two-hand, motion or trained) to an action,
+ * optionally only after the gesture is held for a while. The hand tracker
+ * fires the entries, App carries out the actions and the help screen is
+ * built from the table. Editable at runtime; kept in presets and
+ * localStorage.
+ */
+
+// Discrete actions fire once per gesture; continuous ones last while it is held, per hand
+export const ACTIONS = {
+    SET_SHAPE: { label: 'Shape' },              // Needs `shape`
+    NEXT_SHAPE: { label: 'Next shape' },
+    PREVIOUS_SHAPE: { label: 'Previous shape' },
+    RESET: { label: 'Reset' },                  // Rest shape, undo grabs and spins
+    SPIN: { label: 'Spin' },
+    EXPLODE: { label: 'Explode' },
+    TOGGLE_AUDIO: { label: 'Sound on / off' },
+    NEXT_PRESET: { label: 'Next preset' },
+    SCREENSHOT: { label: 'Screenshot' },
+    REPEL: { label: 'Repel particles', continuous: true },
+    ATTRACT: { label: 'Attract particles', continuous: true },
+    ORBIT: { label: 'Orbit camera (two hands: zoom)', continuous: true }
+}
+
+// Gestures the tracker reports besides named poses and trained gestures
+export const FINGER_KEYS = [0, 1, 2, 3, 4, 5].map(n => `FINGERS_${n}`)
+export const PINCH = 'PINCH'
+export const PINCH_START = 'PINCH_START' // Fired once, like the motion gestures
+export const PINCH_END = 'PINCH_END'
+
+// Everything built in, for pickers; trained gestures add their own names
+export const GESTURE_KEYS = [
+    ...GESTURES,
+    ...FINGER_KEYS,
+    PINCH,
+    PINCH_START,
+    PINCH_END,
+    ...TWO_HAND_GESTURES,
+    ...GESTURES.map(g => `BOTH_${g}`),
+    ...MOTION_GESTURES
+]
+
+export const DEFAULT_BINDINGS = [
+    { gesture: 'FINGERS_1', action: 'SET_SHAPE', shape: 'DOUBLE_HELIX' },
+    { gesture: 'FINGERS_2', action: 'SET_SHAPE', shape: 'FLOWER' },
+    { gesture: 'FINGERS_3', action: 'SET_SHAPE', shape: 'SATURN' },
+    { gesture: 'FINGERS_4', action: 'SET_SHAPE', shape: 'HEART' },
+    { gesture: 'FINGERS_5', action: 'SET_SHAPE', shape: 'FIREWORKS' },
+    { gesture: 'CLASP', action: 'SET_SHAPE', shape: 'SPHERE' }, // Back to rest without taking the hands away
+    { gesture: 'FRAME', action: 'SET_SHAPE', shape: 'CUBE' },
+    { gesture: 'HEART_HANDS', action: 'SET_SHAPE', shape: 'HEART' },
+    { gesture: 'SWIPE_RIGHT', action: 'NEXT_SHAPE' },
+    { gesture: 'SWIPE_UP', action: 'NEXT_SHAPE' },
+    { gesture: 'SWIPE_LEFT', action: 'PREVIOUS_SHAPE' },
+    { gesture: 'SWIPE_DOWN', action: 'PREVIOUS_SHAPE' },
+    { gesture: 'CIRCLE_CW', action: 'SPIN' },
+    { gesture: 'CIRCLE_CCW', action: 'SPIN' },
+    { gesture: 'WAVE', action: 'RESET' },
+    { gesture: 'PUSH', action: 'EXPLODE' },
+    { gesture: 'OPEN_PALM', action: 'REPEL' },
+    { gesture: 'FINGERS_5', action: 'REPEL' },
+    { gesture: PINCH, action: 'ATTRACT' },
+    { gesture: 'FIST', action: 'ORBIT' }, // No FINGERS_0 shape: a fist would change it on every orbit
+    { gesture: 'THUMBS_UP', action: 'SCREENSHOT', hold: 1 },
+    { gesture: 'ROCK', action: 'NEXT_PRESET', hold: 1 },
+    { gesture: 'BOTH_POINT', action: 'TOGGLE_AUDIO', hold: 1 }
+]
+
+const STORAGE_KEY = 'gestureBindings'
+const MAX_GESTURE_LENGTH = 32
+const MAX_HOLD = 10
+
+let bindings = DEFAULT_BINDINGS.map(b => ({ ...b }))
+
+const isObject = (v) => typeof v === 'object' && v !== null && !Array.isArray(v)
+
+/**
+ * @param {object} binding
+ * @returns {string|null} What is wrong with it, or null
+ */
+export const checkBinding = (binding) => {
+    if (!isObject(binding)) return 'must be an object'
+    const { gesture, action, shape, hold, ...rest } = binding
+    if (Object.keys(rest).length > 0) return `has unknown fields ${Object.keys(rest).join(', ')}`
+    if (typeof gesture !== 'string' || !gesture || gesture.length > MAX_GESTURE_LENGTH) {
+        return `gesture must be 1 to ${MAX_GESTURE_LENGTH} characters`
+    }
+    if (!ACTIONS[action]) return `action must be one of ${Object.keys(ACTIONS).join(', ')}`
+    if (action === 'SET_SHAPE' ? typeof shape !== 'string' || !shape : shape !== undefined) {
+        return 'shape is required by SET_SHAPE and only allowed there'
+    }
+    if (hold !== undefined && !(typeof hold === 'number' && hold >= 0 && hold <= MAX_HOLD)) {
+        return `hold must be 0 to ${MAX_HOLD} seconds`
+    }
+    if (hold && ACTIONS[action].continuous) return 'hold only applies to discrete actions'
+    return null
+}
+
+/**
+ * Throw listing every invalid entry.
+ * @param {object[]} list
+ */
+export const validateBindings = (list) => {
+    if (!Array.isArray(list)) throw new Error('Invalid bindings: must be an array')
+    const errors = list
+        .map((binding, i) => {
+            const error = checkBinding(binding)
+            return error ? `bindings[${i}] ${error}` : null
+        })
+        .filter(Boolean)
+    if (errors.length > 0) throw new Error(`Invalid bindings:\n- ${errors.join('\n- ')}`)
+    return list
+}
+
+// --- TABLE ---
+
+export const getBindings = () => bindings
+
+/**
+ * Replace the whole table.
+ * @param {Array<{gesture: string, action: string, shape?: string, hold?: number}>} list
+ */
+export const setBindings = (list) => {
+    bindings = validateBindings(list).map(b => ({ ...b }))
+}
+
+export const resetBindings = () => setBindings(DEFAULT_BINDINGS)
+
+/**
+ * Bind a gesture to a single action, replacing what it had.
+ * @param {string} gesture
+ * @param {object|null} binding - { action, shape?, hold? }; null unbinds
+ */
+export const setGestureBinding = (gesture, binding) => {
+    const others = bindings.filter(b => b.gesture !== gesture)
+    setBindings(binding ? [...others, { ...binding, gesture }] : others)
+}
+
+/**
+ * @param {string} gesture
+ * @param {boolean} [continuous=false] - Continuous instead of discrete actions
+ */
+export const bindingsFor = (gesture, continuous = false) =>
+    bindings.filter(b => b.gesture === gesture && Boolean(ACTIONS[b.action].continuous) === continuous)
+
+// --- TRACKING ---
+
+/**
+ * Gesture names a hand is making, most specific first. The finger count is
+ * left out while the pose or trained gesture has discrete bindings of its
+ * own; otherwise the count's shape would fire first (a thumbs-up held for
+ * SCREENSHOT would morph to FINGERS_1's shape before the capture).
+ * @param {{ custom?: string|null, isPinching?: boolean, gesture?: string|null, fingers?: number|null }} hand
+ */
+export const handGestures = ({ custom, isPinching, gesture, fingers }) => {
+    const named = [custom, gesture].some(g => g && bindingsFor(g).length > 0)
+    const count = fingers == null || named ? null : `FINGERS_${fingers}`
+    return [custom, isPinching ? PINCH : null, gesture, count].filter(Boolean)
+}
+
+/**
+ * The continuous action for a hand: the first bound among its gestures.
+ * @param {string[]} gestures - See handGestures
+ * @returns {string|null} e.g. 'REPEL'
+ */
+export const continuousAction = (gestures) => {
+    for (const gesture of gestures) {
+        const [binding] = bindingsFor(gesture, true)
+        if (binding) return binding.action
+    }
+    return null
+}
+
+/**
+ * Fires discrete bindings for held gestures once they have lasted their
+ * `hold` time. Expects smoothed gestures (see gestureSmoothing.js); each
+ * fires once until the gesture ends. One SET_SHAPE per update at most, from
+ * the most specific gesture; the others count as fired.
+ */
+export const createBindingTracker = () => {
+    let held = new Map() // gesture -> { start, fired: Set }
+
+    return {
+        /**
+         * @param {string[]} gestures - Everything currently shown, most specific first
+         * @param {number} time - Seconds
+         * @returns {object[]} Bindings to carry out now
+         */
+        update(gestures, time) {
+            const next = new Map()
+            const fire = []
+            let shapeSet = false
+
+            gestures.forEach((gesture) => {
+                if (next.has(gesture)) return
+                const state = held.get(gesture) ?? { start: time, fired: new Set() }
+                next.set(gesture, state)
+
+                bindingsFor(gesture).forEach((binding) => {
+                    if (state.fired.has(binding) || time - state.start < (binding.hold ?? 0)) return
+                    state.fired.add(binding)
+                    if (binding.action === 'SET_SHAPE') {
+                        if (shapeSet) return
+                        shapeSet = true
+                    }
+                    fire.push(binding)
+                })
+            })
+
+            held = next
+            return fire
+        },
+
+        reset() {
+            held = new Map()
+        }
+    }
+}
+
+// --- HELP ---
+
+/**
+ * Readable gesture name, e.g. '3 Fingers', 'HEART HANDS (2 hands)'.
+ */
+export const describeGesture = (gesture) => {
+    if (FINGER_KEYS.includes(gesture)) {
+        const n = Number(gesture.slice('FINGERS_'.length))
+        return `${n} Finger${n === 1 ? '' : 's'}`
+    }
+    const name = gesture.replace(/_/g, ' ')
+    return TWO_HAND_GESTURES.includes(gesture) ? `${name} (2 hands)` : name
+}
+
+const describeAction = ({ action, shape }) => {
+    if (action !== 'SET_SHAPE') return ACTIONS[action].label.toUpperCase()
+    const registered = getShape(shape)
+    const extra = registered && registered.description ? ` (${registered.description})` : ''
+    return `${shape.replace(/_/g, ' ')}${extra}`
+}
+
+/**
+ * Help rows, one per distinct action; triggers sharing it are joined.
+ * @param {object[]} [list] - Defaults to the live table
+ * @returns {Array<{ trigger: string, label: string }>}
+ */
+export const describeBindings = (list = bindings) => {
+    const rows = new Map()
+    list.forEach((binding) => {
+        const label = describeAction(binding)
+        const trigger = `${describeGesture(binding.gesture)}${binding.hold ? ` (hold ${binding.hold}s)` : ''}`
+        if (!rows.has(label)) rows.set(label, [])
+        rows.get(label).push(trigger)
+    })
+    return Array.from(rows, ([label, triggers]) => ({ trigger: triggers.join(' / '), label }))
+}
+
+// --- PERSISTENCE ---
+
+export const saveBindings = (storage = window.localStorage) => {
+    storage.setItem(STORAGE_KEY, JSON.stringify(bindings))
+}
+
+/**
+ * Replace the table with the stored one, if any.
+ * @returns {boolean} Whether a stored table was found
+ */
+export const loadBindings = (storage = window.localStorage) => {
+    const stored = storage.getItem(STORAGE_KEY)
+    if (!stored) return false
+    setBindings(JSON.parse(stored))
+    return true
+}
@@ -0,0 +1,63 @@
+import { afterEach, describe, it, expect } from 'vitest'
+import {
+    continuousAction,
+    createBindingTracker,
+    handGestures,
+    resetBindings,
+    setGestureBinding
+} from './gestureBindings'
+
+afterEach(() => resetBindings())
+
+// Every frame of a held gesture, as the tracker sees them at 30 fps
+const hold = (hand, seconds) => {
+    const tracker = createBindingTracker()
+    const fired = []
+    for (let i = 0; i <= seconds * 30; i++) fired.push(...tracker.update(handGestures(hand), i / 30))
+    return fired
+}
+
+describe('handGestures', () => {
+    it('lists the most specific gesture first', () => {
+        expect(handGestures({ custom: 'SPOCK', isPinching: true, gesture: 'PEACE', fingers: 2 }))
+            .toEqual(['SPOCK', 'PINCH', 'PEACE', 'FINGERS_2'])
+        expect(handGestures({ gesture: null, fingers: null })).toEqual([])
+    })
+
+    it('leaves out the finger count of a pose with discrete bindings', () => {
+        expect(handGestures({ gesture: 'THUMBS_UP', fingers: 1 })).toEqual(['THUMBS_UP'])
+        expect(handGestures({ gesture: 'ROCK', fingers: 2 })).toEqual(['ROCK'])
+        // Continuous bindings keep it: an open palm repels and shows FIREWORKS
+        expect(handGestures({ gesture: 'OPEN_PALM', fingers: 5 })).toEqual(['OPEN_PALM', 'FINGERS_5'])
+    })
+
+    it('leaves out the finger count of a bound trained gesture', () => {
+        expect(handGestures({ custom: 'SPOCK', gesture: 'FOUR', fingers: 4 })).toEqual(['SPOCK', 'FOUR', 'FINGERS_4'])
+        setGestureBinding('SPOCK', { action: 'SPIN' })
+        expect(handGestures({ custom: 'SPOCK', gesture: 'FOUR', fingers: 4 })).toEqual(['SPOCK', 'FOUR'])
+    })
+})
+
+describe('default bindings', () => {
+    it('only orbits for a fist', () => {
+        const fist = { gesture: 'FIST', fingers: 0 }
+        expect(continuousAction(handGestures(fist))).toBe('ORBIT')
+        expect(hold(fist, 2)).toEqual([])
+    })
+
+    it('sets one shape per finger count', () => {
+        const fired = hold({ gesture: 'PEACE', fingers: 2 }, 1)
+        expect(fired).toEqual([{ gesture: 'FINGERS_2', action: 'SET_SHAPE', shape: 'FLOWER' }])
+    })
+
+    it('fires held bindings once their hold time has passed', () => {
+        expect(hold({ gesture: 'THUMBS_UP', fingers: 1 }, 0.5)).toEqual([])
+        expect(hold({ gesture: 'THUMBS_UP', fingers: 1 }, 1.5).map(b => b.action)).toEqual(['SCREENSHOT'])
+    })
+
+    it('sets one shape per update, from the most specific gesture', () => {
+        // A two-hand gesture ahead of each hand's, as the hand tracker lists them
+        const fired = createBindingTracker().update(['CLASP', 'FINGERS_2', 'FINGERS_3'], 0)
+        expect(fired.map(b => b.shape)).toEqual(['SPHERE'])
+    })
+})
@@ -1,87 +1,378 @@
 /**
  * Gesture Detection Engine
- * Counts extended fingers to trigger shape changes.
+ * Classifies a single hand from its 21 landmarks using 3D joint angles
+ * (x, y and z), so it works whichever way the palm faces, then looks for
+ * gestures made with both hands. Pure functions: landmarks in,
+ * { gesture, confidence, ... } out. What gestures do is up to the binding
+ * table (gestureBindings.js).
  */
 
-const LANDMARKS = {
+// Thresholds, tunable at runtime (e.g. from a preset)
+export const GESTURE_SETTINGS = {
+    minConfidence: 0.6,   // Named gestures below this fall back to a finger count
+    pinchClosed: 0.25,    // Thumb-index tip distance (palm lengths) for full pinch strength
+    pinchOpen: 0.8,       // ... and for none
+    pinchOn: 0.7,         // Pinch strength that starts a pinch
+    pinchOff: 0.4,        // ... and that ends it, lower so it does not flicker
+    claspDistance: 1.2    // Hand centres closer than this (palm lengths) are clasped
+};
+
+export const LANDMARKS = {
     WRIST: 0,
     THUMB_CMC: 1,
     THUMB_MCP: 2,
     THUMB_IP: 3,
     THUMB_TIP: 4,
     INDEX_MCP: 5,
+    INDEX_PIP: 6,
+    INDEX_DIP: 7,
     INDEX_TIP: 8,
     MIDDLE_MCP: 9,
+    MIDDLE_PIP: 10,
+    MIDDLE_DIP: 11,
     MIDDLE_TIP: 12,
     RING_MCP: 13,
+    RING_PIP: 14,
+    RING_DIP: 15,
     RING_TIP: 16,
     PINKY_MCP: 17,
+    PINKY_PIP: 18,
+    PINKY_DIP: 19,
     PINKY_TIP: 20
-}
+};
+
+export const FINGERS = ['THUMB', 'INDEX', 'MIDDLE', 'RING', 'PINKY'];
+
+// Joint chains from the palm out; bends are measured at the inner joints
+const CHAINS = {
+    THUMB: [LANDMARKS.THUMB_CMC, LANDMARKS.THUMB_MCP, LANDMARKS.THUMB_IP, LANDMARKS.THUMB_TIP],
+    INDEX: [LANDMARKS.WRIST, LANDMARKS.INDEX_MCP, LANDMARKS.INDEX_PIP, LANDMARKS.INDEX_DIP, LANDMARKS.INDEX_TIP],
+    MIDDLE: [LANDMARKS.WRIST, LANDMARKS.MIDDLE_MCP, LANDMARKS.MIDDLE_PIP, LANDMARKS.MIDDLE_DIP, LANDMARKS.MIDDLE_TIP],
+    RING: [LANDMARKS.WRIST, LANDMARKS.RING_MCP, LANDMARKS.RING_PIP, LANDMARKS.RING_DIP, LANDMARKS.RING_TIP],
+    PINKY: [LANDMARKS.WRIST, LANDMARKS.PINKY_MCP, LANDMARKS.PINKY_PIP, LANDMARKS.PINKY_DIP, LANDMARKS.PINKY_TIP]
+};
+
+// Total bend (degrees) between straight and curled
+const FINGER_BEND = [40, 120];
+const THUMB_BEND = [20, 70];
+// Thumb tip distance from the index knuckle, in palm lengths
+const THUMB_REACH = [0.4, 0.7];
+
+// Named gestures: 1 = extended, 0 = curled, null = either
+const POSES = {
+    FIST: [0, 0, 0, 0, 0],
+    POINT: [null, 1, 0, 0, 0],
+    PEACE: [null, 1, 1, 0, 0],
+    THUMBS_UP: [1, 0, 0, 0, 0],
+    OK: [null, null, 1, 1, 1],
+    ROCK: [null, 1, 0, 0, 1],
+    OPEN_PALM: [1, 1, 1, 1, 1]
+};
+
+export const GESTURES = Object.keys(POSES);
+
+// Made with both hands; mirrored single-hand gestures are 'BOTH_' + name
+export const TWO_HAND_GESTURES = ['CLASP', 'HEART_HANDS', 'FRAME'];
+
+// Thumb and index out, the rest curled: one corner of a FRAME
+const CORNER = [1, 1, 0, 0, 0];
+
+// Fallback names, by extended finger count
+export const FINGER_COUNTS = ['ZERO', 'ONE', 'TWO', 'THREE', 'FOUR', 'FIVE'];
+
+const DEG = 180 / Math.PI;
+
+// 0 below edge0, 1 above edge1, smooth in between
+const smoothstep = (edge0, edge1, x) => {
+    const t = Math.min(Math.max((x - edge0) / (edge1 - edge0), 0), 1);
+    return t * t * (3 - 2 * t);
+};
+
+/**
+ * Landmark -> isotropic 3D point. x is normalised by image width, y by
+ * height and z roughly like x, so x and z are stretched by the aspect ratio.
+ */
+const toPoint = (l, aspect) => [l.x * aspect, l.y, (l.z ?? 0) * aspect];
+
+const sub = (a, b) => [a[0] - b[0], a[1] - b[1], a[2] - b[2]];
+const dot = (a, b) => a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+const length = (a) => Math.sqrt(dot(a, a));
+const cross = (a, b) => [
+    a[1] * b[2] - a[2] * b[1],
+    a[2] * b[0] - a[0] * b[2],
+    a[0] * b[1] - a[1] * b[0]
+];
+
+// Angle (degrees) between two bone directions; 0 = straight through
+const bend = (a, b, c) => {
+    const u = sub(b, a);
+    const v = sub(c, b);
+    const cos = dot(u, v) / (length(u) * length(v) || 1);
+    return Math.acos(Math.min(Math.max(cos, -1), 1)) * DEG;
+};
 
 /**
- * Check if a finger is extended.
- * For 4 fingers: Tip distance to wrist > MCP distance to wrist.
- * For Thumb: Check if tip is away from palm plane (simplified check here).
+ * Sum of joint bends along a finger, in degrees.
+ * @param {number[][]} points - Isotropic points (see toPoint)
+ * @param {string} finger - One of FINGERS
  */
-const isFingerExtended = (landmarks, fingerName) => {
-    const wrist = landmarks[LANDMARKS.WRIST];
-
-    if (fingerName === 'THUMB') {
-        const tip = landmarks[LANDMARKS.THUMB_TIP];
-        const ip = landmarks[LANDMARKS.THUMB_IP];
-        const mcp = landmarks[LANDMARKS.THUMB_MCP];
-
-        // Thumb extended if tip is further from MCP than IP is? 
-        // Or simple Vector check. Let's use x-distance from pinky MCP as a proxy for "open" hand width
-        // A safer heuristic for thumb is checking angle. 
-        // Simple heuristic: distance from Tip to Pinky MCP > distance from IP to Pinky MCP
-        const pinkyMCP = landmarks[LANDMARKS.PINKY_MCP];
-        const tipDist = Math.hypot(tip.x - pinkyMCP.x, tip.y - pinkyMCP.y);
-        const ipDist = Math.hypot(ip.x - pinkyMCP.x, ip.y - pinkyMCP.y);
-        return tipDist > ipDist;
+const fingerBend = (points, finger) => {
+    const chain = CHAINS[finger].map(i => points[i]);
+    let total = 0;
+    for (let j = 1; j < chain.length - 1; j++) total += bend(chain[j - 1], chain[j], chain[j + 1]);
+    return total;
+};
+
+/**
+ * How extended each finger is, 0 (curled) to 1 (straight).
+ * @param {Array<{x: number, y: number, z?: number}>} landmarks - 21 MediaPipe landmarks
+ * @param {number} [aspect=4/3] - Image width / height
+ * @returns {number[]} Thumb to pinky
+ */
+export const fingerExtension = (landmarks, aspect = 4 / 3) => {
+    const points = landmarks.map(l => toPoint(l, aspect));
+    const palm = length(sub(points[LANDMARKS.MIDDLE_MCP], points[LANDMARKS.WRIST])) || 1;
+
+    return FINGERS.map((finger) => {
+        const straight = 1 - smoothstep(...(finger === 'THUMB' ? THUMB_BEND : FINGER_BEND), fingerBend(points, finger));
+        if (finger !== 'THUMB') return straight;
+
+        // A straight thumb can still lie along the palm: it must also reach away
+        const reach = length(sub(points[LANDMARKS.THUMB_TIP], points[LANDMARKS.INDEX_MCP])) / palm;
+        return Math.min(straight, smoothstep(...THUMB_REACH, reach));
+    });
+};
+
+/**
+ * Whether the palm faces the camera, from the palm normal's z.
+ * @param {Array<{x: number, y: number, z?: number}>} landmarks
+ * @param {'Left'|'Right'} handedness - The physical hand
+ * @param {number} [aspect=4/3]
+ * @returns {number} 1 facing the camera, 0 facing away, smooth in between
+ */
+export const palmFacing = (landmarks, handedness, aspect = 4 / 3) => {
+    const points = landmarks.map(l => toPoint(l, aspect));
+    const wrist = points[LANDMARKS.WRIST];
+    const normal = cross(sub(points[LANDMARKS.INDEX_MCP], wrist), sub(points[LANDMARKS.PINKY_MCP], wrist));
+    // Image y points down and z grows away from the camera: a right palm
+    // facing the camera has a normal with negative z. Left hands mirror that.
+    const towards = (handedness === 'Left' ? normal[2] : -normal[2]) / (length(normal) || 1);
+    return smoothstep(-0.2, 0.2, towards);
+};
+
+// Fit of the fingers to a pose pattern, 0-1, limited by the worst finger
+const poseScore = (pattern, extension) =>
+    pattern.reduce((score, want, i) => {
+        if (want === null) return score;
+        return Math.min(score, want ? extension[i] : 1 - extension[i]);
+    }, 1);
+
+/**
+ * Classify one hand.
+ * @param {Array<{x: number, y: number, z?: number}>} landmarks - 21 MediaPipe landmarks
+ * @param {object} [options]
+ * @param {'Left'|'Right'|null} [options.handedness] - Physical hand; without it OPEN_PALM ignores palm direction
+ * @param {number} [options.aspect=4/3] - Image width / height
+ * @returns {{ gesture: string, confidence: number, fingers: number, extension: number[], palmFacing: number|null, scores: object }}
+ */
+export const classifyHand = (landmarks, { handedness = null, aspect = 4 / 3 } = {}) => {
+    const extension = fingerExtension(landmarks, aspect);
+    const fingers = extension.filter(e => e >= 0.5).length;
+    const facing = handedness ? palmFacing(landmarks, handedness, aspect) : null;
+
+    const points = landmarks.map(l => toPoint(l, aspect));
+    const palm = length(sub(points[LANDMARKS.MIDDLE_MCP], points[LANDMARKS.WRIST])) || 1;
+    const thumbTip = points[LANDMARKS.THUMB_TIP];
+    const thumbBase = points[LANDMARKS.THUMB_MCP];
+
+    const scores = {};
+    GESTURES.forEach((name) => {
+        scores[name] = poseScore(POSES[name], extension);
+    });
+
+    // Thumb must point up (image y grows downwards)
+    const thumb = sub(thumbTip, thumbBase);
+    scores.THUMBS_UP *= smoothstep(0.5, 0.8, -thumb[1] / (length(thumb) || 1));
+
+    // Thumb and index tips touching, curling index into a ring
+    const ring = length(sub(thumbTip, points[LANDMARKS.INDEX_TIP])) / palm;
+    scores.OK *= 1 - smoothstep(0.2, 0.4, ring);
+
+    if (facing !== null) scores.OPEN_PALM *= facing;
+
+    const best = GESTURES.reduce((a, b) => (scores[b] > scores[a] ? b : a));
+    if (scores[best] >= GESTURE_SETTINGS.minConfidence) {
+        return { gesture: best, confidence: scores[best], fingers, extension, palmFacing: facing, scores };
     }
 
-    let tipIdx, mcpIdx;
-    if (fingerName === 'INDEX') { tipIdx = LANDMARKS.INDEX_TIP; mcpIdx = LANDMARKS.INDEX_MCP; }
-    if (fingerName === 'MIDDLE') { tipIdx = LANDMARKS.MIDDLE_TIP; mcpIdx = LANDMARKS.MIDDLE_MCP; }
-    if (fingerName === 'RING') { tipIdx = LANDMARKS.RING_TIP; mcpIdx = LANDMARKS.RING_MCP; }
-    if (fingerName === 'PINKY') { tipIdx = LANDMARKS.PINKY_TIP; mcpIdx = LANDMARKS.PINKY_MCP; }
-
-    const tip = landmarks[tipIdx];
-    const mcp = landmarks[mcpIdx];
-
-    const tipDist = Math.hypot(tip.x - wrist.x, tip.y - wrist.y);
-    const mcpDist = Math.hypot(mcp.x - wrist.x, mcp.y - wrist.y);
-
-    // Tip must be significantly further than MCP
-    return tipDist > mcpDist * 1.2;
-}
-
-export const detectGesture = (hands) => {
-    if (!hands || hands.length === 0) return "SPHERE"; // Default
-
-    const hand = hands[0]; // Primary hand
-
-    let fingersUp = 0;
-    if (isFingerExtended(hand, 'THUMB')) fingersUp++;
-    if (isFingerExtended(hand, 'INDEX')) fingersUp++;
-    if (isFingerExtended(hand, 'MIDDLE')) fingersUp++;
-    if (isFingerExtended(hand, 'RING')) fingersUp++;
-    if (isFingerExtended(hand, 'PINKY')) fingersUp++;
-
-    // Mapping based on requirements
-    // 2 Fingers -> Flower
-    // 3 Fingers -> Saturn
-    // 4 Fingers -> Heart
-    // 5 Fingers -> Fireworks
-    // Default -> Sphere
-
-    switch (fingersUp) {
-        case 2: return "FLOWER";
-        case 3: return "SATURN";
-        case 4: return "HEART";
-        case 5: return "FIREWORKS";
-        default: return "SPHERE";
+    // No named gesture: report the count, as sure as the least decided finger
+    const confidence = Math.min(...extension.map(e => Math.abs(e - 0.5) * 2));
+    return { gesture: FINGER_COUNTS[fingers], confidence, fingers, extension, palmFacing: facing, scores };
+};
+
+/**
+ * Number of extended fingers (0-5) on one hand.
+ * @param {Array<{x: number, y: number, z?: number}>} hand - 21 landmarks
+ */
+export const countExtendedFingers = (hand) => classifyHand(hand).fingers;
+
+/**
+ * How closely thumb and index tips meet, measured in palm lengths so it
+ * reads the same at any hand size or distance from the camera.
+ * @param {Array<{x: number, y: number, z?: number}>} landmarks - 21 MediaPipe landmarks
+ * @param {number} [aspect=4/3] - Image width / height
+ * @returns {{ strength: number, point: {x: number, y: number} }} strength 0 (apart) to 1
+ *   (touching); point is between the tips, in image coordinates like the landmarks
+ */
+export const measurePinch = (landmarks, aspect = 4 / 3) => {
+    const thumbTip = landmarks[LANDMARKS.THUMB_TIP];
+    const indexTip = landmarks[LANDMARKS.INDEX_TIP];
+    const palm = length(sub(toPoint(landmarks[LANDMARKS.MIDDLE_MCP], aspect), toPoint(landmarks[LANDMARKS.WRIST], aspect))) || 1;
+    const gap = length(sub(toPoint(thumbTip, aspect), toPoint(indexTip, aspect))) / palm;
+    const { pinchClosed, pinchOpen } = GESTURE_SETTINGS;
+    return {
+        strength: Math.min(Math.max((pinchOpen - gap) / (pinchOpen - pinchClosed), 0), 1),
+        point: { x: (thumbTip.x + indexTip.x) / 2, y: (thumbTip.y + indexTip.y) / 2 }
+    };
+};
+
+/**
+ * Pinch on / off for one hand, with separate thresholds (pinchOn, pinchOff)
+ * so strengths hovering around one of them do not flicker.
+ */
+export const createPinchTracker = () => {
+    let pinching = false;
+
+    return {
+        /**
+         * @param {number} strength - See measurePinch
+         * @returns {{ isPinching: boolean, started: boolean, ended: boolean }}
+         */
+        update(strength) {
+            const was = pinching;
+            pinching = was ? strength > GESTURE_SETTINGS.pinchOff : strength >= GESTURE_SETTINGS.pinchOn;
+            return { isPinching: pinching, started: pinching && !was, ended: was && !pinching };
+        },
+        /**
+         * @returns {boolean} Whether a pinch was cut short
+         */
+        reset() {
+            const was = pinching;
+            pinching = false;
+            return was;
+        }
+    };
+};
+
+/**
+ * MediaPipe labels handedness assuming a mirrored (selfie) image; our frames
+ * are not mirrored, so the label names the other hand.
+ * @param {{ label: string }|undefined} classification - results.multiHandedness[i]
+ * @returns {'Left'|'Right'|null}
+ */
+export const physicalHandedness = (classification) => {
+    if (!classification) return null;
+    return classification.label === 'Left' ? 'Right' : 'Left';
+};
+
+// Score 1 when two points are within `near` palm lengths, 0 beyond `far`
+const touching = (a, b, palm, near = 0.3, far = 0.6) =>
+    1 - smoothstep(near, far, length(sub(a, b)) / palm);
+
+/**
+ * Score the two-hand gestures and pick the best.
+ * @param {number[][][]} points - Isotropic points per hand
+ * @param {object[]} hands - classifyHand results, same order
+ * @param {number} palm - Mean palm length
+ * @returns {{ gesture: string, confidence: number, scores: object }}
+ */
+const classifyPair = (points, hands, palm) => {
+    const [a, b] = points;
+    const centre = (p) => p[LANDMARKS.MIDDLE_MCP];
+    const separation = length(sub(centre(a), centre(b))) / palm;
+    const scores = {};
+
+    // Palms together or fingers interlocked: the centres nearly meet
+    const clasp = GESTURE_SETTINGS.claspDistance;
+    scores.CLASP = 1 - smoothstep(clasp * 0.6, clasp, separation);
+
+    // Index tips touch above, thumb tips touch below, with a gap between
+    const indexTips = [a[LANDMARKS.INDEX_TIP], b[LANDMARKS.INDEX_TIP]];
+    const thumbTips = [a[LANDMARKS.THUMB_TIP], b[LANDMARKS.THUMB_TIP]];
+    const gap = length(sub(indexTips[0], thumbTips[0])) / palm;
+    scores.HEART_HANDS = Math.min(
+        touching(...indexTips, palm),
+        touching(...thumbTips, palm),
+        smoothstep(0.6, 1, gap),
+        indexTips[0][1] < thumbTips[0][1] ? 1 : 0 // Image y grows downwards
+    );
+
+    // Two L-shaped corners on opposite diagonals of a rectangle
+    const offset = sub(centre(a), centre(b));
+    scores.FRAME = Math.min(
+        poseScore(CORNER, hands[0].extension),
+        poseScore(CORNER, hands[1].extension),
+        smoothstep(0.8, 1.5, Math.abs(offset[0]) / palm),
+        smoothstep(0.8, 1.5, Math.abs(offset[1]) / palm)
+    );
+
+    // Same named gesture on both hands, held level with each other
+    const same = hands[0].gesture === hands[1].gesture && GESTURES.includes(hands[0].gesture);
+    const opposite = !hands[0].handedness || !hands[1].handedness || hands[0].handedness !== hands[1].handedness;
+    const mirrored = same && opposite
+        ? Math.min(hands[0].confidence, hands[1].confidence) * (1 - smoothstep(0.5, 1.5, Math.abs(offset[1]) / palm))
+        : 0;
+
+    // A confident two-hand shape wins: the hands making it often show the same pose
+    const best = TWO_HAND_GESTURES.reduce((x, y) => (scores[y] > scores[x] ? y : x));
+    if (scores[best] < GESTURE_SETTINGS.minConfidence && mirrored > scores[best]) {
+        return { gesture: `BOTH_${hands[0].gesture}`, confidence: mirrored, scores };
+    }
+    return { gesture: best, confidence: scores[best], scores };
+};
+
+/**
+ * Classify every hand and, with two, the pair.
+ * @param {Array<Array<{x: number, y: number, z?: number}>>} hands - Landmark arrays, primary hand first
+ * @param {object} [options]
+ * @param {Array<'Left'|'Right'|null>} [options.handedness] - Physical hand per landmark array
+ * @param {number} [options.aspect=4/3] - Image width / height
+ * @returns {{
+ *   hands: object[],          // classifyHand result per hand, plus handedness
+ *   distance: number,         // Between hand centres, in image heights; Infinity with fewer than two hands
+ *   isHandshake: boolean,     // Palms touching or clasped
+ *   twoHand: { gesture: string, confidence: number }|null, // Best two-hand gesture above minConfidence
+ *   gesture: string|null,     // twoHand's gesture, else the primary hand's
+ *   confidence: number
+ * }}
+ */
+export const analyzeHands = (hands, { handedness = [], aspect = 4 / 3 } = {}) => {
+    const classified = hands.map((landmarks, i) => ({
+        ...classifyHand(landmarks, { handedness: handedness[i] ?? null, aspect }),
+        handedness: handedness[i] ?? null
+    }));
+
+    const analysis = {
+        hands: classified,
+        distance: Infinity,
+        isHandshake: false,
+        twoHand: null,
+        gesture: classified.length > 0 ? classified[0].gesture : null,
+        confidence: classified.length > 0 ? classified[0].confidence : 0
+    };
+    if (hands.length < 2) return analysis;
+
+    const points = hands.slice(0, 2).map(landmarks => landmarks.map(l => toPoint(l, aspect)));
+    const palm = points.reduce((sum, p) =>
+        sum + length(sub(p[LANDMARKS.MIDDLE_MCP], p[LANDMARKS.WRIST])), 0) / 2 || 1;
+    const pair = classifyPair(points, classified, palm);
+
+    analysis.distance = length(sub(points[0][LANDMARKS.MIDDLE_MCP], points[1][LANDMARKS.MIDDLE_MCP]));
+    analysis.isHandshake = pair.scores.CLASP >= 0.5;
+    if (pair.confidence >= GESTURE_SETTINGS.minConfidence) {
+        analysis.twoHand = { gesture: pair.gesture, confidence: pair.confidence };
+        analysis.gesture = pair.gesture;
+        analysis.confidence = pair.confidence;
     }
-}
+    return analysis;
+};
@@ -0,0 +1,116 @@
+import { describe, it, expect } from 'vitest';
+import { analyzeHands, classifyHand, GESTURE_SETTINGS, measurePinch } from './gestureDetection';
+import { hand, heart, mirror, move, touchTips } from './fixtures/hands';
+
+// Pose (thumb to pinky, 1 = extended) and finger count per gesture
+const FIXTURES = [
+    ['FIST', [0, 0, 0, 0, 0], 0],
+    ['POINT', [0, 1, 0, 0, 0], 1],
+    ['PEACE', [0, 1, 1, 0, 0], 2],
+    ['THUMBS_UP', [1, 0, 0, 0, 0], 1],
+    ['ROCK', [0, 1, 0, 0, 1], 2],
+    ['OPEN_PALM', [1, 1, 1, 1, 1], 5],
+    ['THREE', [0, 1, 1, 1, 0], 3],
+    ['FOUR', [0, 1, 1, 1, 1], 4]
+];
+
+describe('classifyHand', () => {
+    it.each(FIXTURES)('%s on the left hand', (gesture, pose, fingers) => {
+        const result = classifyHand(hand(pose), { handedness: 'Left' });
+        expect(result.gesture).toBe(gesture);
+        expect(result.fingers).toBe(fingers);
+        expect(result.confidence).toBeGreaterThanOrEqual(0.6);
+    });
+
+    it.each(FIXTURES)('%s on the mirrored right hand', (gesture, pose, fingers) => {
+        const result = classifyHand(mirror(hand(pose)), { handedness: 'Right' });
+        expect(result.gesture).toBe(gesture);
+        expect(result.fingers).toBe(fingers);
+    });
+
+    it.each(FIXTURES)('%s without handedness', (gesture, pose) => {
+        expect(classifyHand(hand(pose)).gesture).toBe(gesture);
+        expect(classifyHand(mirror(hand(pose))).gesture).toBe(gesture);
+    });
+
+    describe('OK', () => {
+        const ok = touchTips(hand([0, 0, 1, 1, 1]));
+
+        it('needs the thumb and index tips to meet', () => {
+            expect(classifyHand(ok, { handedness: 'Left' }).gesture).toBe('OK');
+            expect(classifyHand(mirror(ok), { handedness: 'Right' }).gesture).toBe('OK');
+            // The index may stay fairly straight, as long as the tips touch
+            expect(classifyHand(touchTips(hand([0, 1, 1, 1, 1])), { handedness: 'Left' }).gesture).toBe('OK');
+        });
+
+        it('is not a near miss', () => {
+            // Tips almost together: a pinch with three fingers up
+            const pinch = touchTips(hand([0, 0, 1, 1, 1]), 0.05);
+            const apart = classifyHand(pinch, { handedness: 'Left' });
+            expect(apart.gesture).toBe('THREE');
+            expect(apart.scores.OK).toBeLessThan(GESTURE_SETTINGS.minConfidence);
+            expect(measurePinch(pinch).strength).toBeGreaterThanOrEqual(GESTURE_SETTINGS.pinchOn);
+            // Tips together, other fingers curled: a pinch from a fist
+            expect(classifyHand(touchTips(hand([0, 0, 0, 0, 0])), { handedness: 'Left' }).gesture).toBe('FIST');
+        });
+    });
+
+    it('reads the fingers straight from any hand', () => {
+        const extension = classifyHand(hand([0, 1, 1, 0, 0])).extension;
+        expect(extension.map(e => e >= 0.5)).toEqual([false, true, true, false, false]);
+    });
+
+    it('sees the palm only when it faces the camera', () => {
+        const open = hand([1, 1, 1, 1, 1]);
+        expect(classifyHand(open, { handedness: 'Left' }).palmFacing).toBeGreaterThan(0.9);
+        expect(classifyHand(mirror(open), { handedness: 'Right' }).palmFacing).toBeGreaterThan(0.9);
+        // The left hand's landmarks labelled right: the back of the hand
+        const back = classifyHand(open, { handedness: 'Right' });
+        expect(back.palmFacing).toBeLessThan(0.1);
+        expect(back.gesture).not.toBe('OPEN_PALM');
+    });
+});
+
+describe('analyzeHands', () => {
+    const pair = (pose, dx, dy = 0) => [move(hand(pose), -dx, -dy), move(mirror(hand(pose)), dx, dy)];
+    const handedness = ['Left', 'Right'];
+
+    it('mirrors a gesture made by both hands', () => {
+        const analysis = analyzeHands(pair([0, 1, 1, 0, 0], 0.2), { handedness });
+        expect(analysis.gesture).toBe('BOTH_PEACE');
+        expect(analysis.isHandshake).toBe(false);
+    });
+
+    it('clasps hands that meet', () => {
+        const analysis = analyzeHands(pair([0, 1, 1, 0, 0], 0.02), { handedness });
+        expect(analysis.gesture).toBe('CLASP');
+        expect(analysis.isHandshake).toBe(true);
+    });
+
+    it('frames with two corners on opposite diagonals', () => {
+        const analysis = analyzeHands(pair([1, 1, 0, 0, 0], 0.2, 0.2), { handedness });
+        expect(analysis.gesture).toBe('FRAME');
+    });
+
+    it('makes a heart from index tips above thumb tips', () => {
+        const analysis = analyzeHands(heart(), { handedness });
+        // Both hands also point: the heart wins over BOTH_POINT
+        expect(analysis.hands.map(h => h.gesture)).toEqual(['POINT', 'POINT']);
+        expect(analysis.gesture).toBe('HEART_HANDS');
+        expect(analysis.twoHand.confidence).toBeGreaterThanOrEqual(GESTURE_SETTINGS.minConfidence);
+    });
+
+    it('needs the tips of a heart to meet, index above thumb', () => {
+        const [left, right] = heart();
+        expect(analyzeHands([move(left, 0.1), right], { handedness }).gesture).not.toBe('HEART_HANDS');
+        const upsideDown = heart().map(h => h.map(l => ({ ...l, y: 1.4 - l.y })));
+        expect(analyzeHands(upsideDown, { handedness }).gesture).not.toBe('HEART_HANDS');
+    });
+
+    it('falls back to the primary hand with one hand', () => {
+        const analysis = analyzeHands([hand([0, 0, 0, 0, 0])], { handedness: ['Left'] });
+        expect(analysis.gesture).toBe('FIST');
+        expect(analysis.twoHand).toBeNull();
+        expect(analysis.distance).toBe(Infinity);
+    });
+});
@@ -0,0 +1,173 @@
+/**
+ * Gesture Smoothing
+ * Takes the jitter out of tracking. Landmarks go through One-Euro filters
+ * (Casiez et al. 2012): heavy smoothing while a hand is still, little lag
+ * while it moves. Classifier labels go through a confidence-weighted
+ * majority vote with hysteresis: a new label needs `enter` of the recent
+ * votes to take over, the current one stays until it drops below `exit`,
+ * so a single noisy frame changes nothing.
+ */
+
+// Tunable at runtime (e.g. from a preset)
+export const SMOOTHING_SETTINGS = {
+    minCutoff: 1.5, // Hz; lower = steadier still hands
+    beta: 10,       // Cutoff increase per unit/s of speed; higher = less lag when moving
+    dCutoff: 1,     // Hz, for the speed estimate
+    window: 10,     // Frames that vote
+    enter: 0.5,     // Vote share (weighted by confidence) a new label needs
+    exit: 0.25      // Vote share below which the current label is dropped
+}
+
+const LANDMARK_COUNT = 21
+
+// Smoothing factor of an exponential filter at this cutoff and time step
+const alpha = (cutoff, dt) => {
+    const tau = 1 / (2 * Math.PI * cutoff)
+    return 1 / (1 + tau / dt)
+}
+
+/**
+ * One-Euro filter for one value.
+ * @param {object} [settings=SMOOTHING_SETTINGS] - Read on every call, so live edits apply
+ */
+export const createOneEuroFilter = (settings = SMOOTHING_SETTINGS) => {
+    let value = null
+    let speed = 0
+    let last = null
+
+    return {
+        /**
+         * @param {number} x
+         * @param {number} time - Seconds
+         * @returns {number} Filtered value
+         */
+        filter(x, time) {
+            const dt = last === null ? 0 : time - last
+            if (value === null || dt <= 0) {
+                if (value === null) value = x
+                last = time
+                return value
+            }
+            last = time
+
+            speed += alpha(settings.dCutoff, dt) * ((x - value) / dt - speed)
+            const cutoff = settings.minCutoff + settings.beta * Math.abs(speed)
+            value += alpha(cutoff, dt) * (x - value)
+            return value
+        },
+        reset() {
+            value = null
+            speed = 0
+            last = null
+        }
+    }
+}
+
+/**
+ * One-Euro filters for every coordinate of a hand.
+ * @param {object} [settings=SMOOTHING_SETTINGS]
+ */
+export const createLandmarkFilter = (settings = SMOOTHING_SETTINGS) => {
+    const filters = Array.from({ length: LANDMARK_COUNT * 3 }, () => createOneEuroFilter(settings))
+
+    return {
+        /**
+         * @param {Array<{x: number, y: number, z?: number}>} landmarks
+         * @param {number} time - Seconds
+         * @returns {Array<{x: number, y: number, z: number}>} New, filtered landmarks
+         */
+        filter(landmarks, time) {
+            return landmarks.map((l, i) => ({
+                x: filters[i * 3].filter(l.x, time),
+                y: filters[i * 3 + 1].filter(l.y, time),
+                z: filters[i * 3 + 2].filter(l.z ?? 0, time)
+            }))
+        },
+        reset() {
+            filters.forEach(f => f.reset())
+        }
+    }
+}
+
+/**
+ * Confidence-weighted majority vote with separate enter and exit thresholds.
+ * @param {object} [settings=SMOOTHING_SETTINGS]
+ */
+export const createLabelSmoother = (settings = SMOOTHING_SETTINGS) => {
+    let votes = [] // { label, weight }
+    let current = null
+
+    const share = (label) =>
+        votes.reduce((sum, v) => sum + (v.label === label ? v.weight : 0), 0) / settings.window
+
+    return {
+        /**
+         * @param {string|null} label - This frame's label; null votes for nothing
+         * @param {number} [confidence=1] - 0-1, the vote's weight
+         * @returns {{ label: string|null, confidence: number }} The committed label and its vote share
+         */
+        update(label, confidence = 1) {
+            votes.push({ label, weight: label === null ? 0 : confidence })
+            if (votes.length > settings.window) votes = votes.slice(-settings.window)
+
+            let best = null
+            let bestShare = 0
+            new Set(votes.map(v => v.label)).forEach((candidate) => {
+                if (candidate === null) return
+                const s = share(candidate)
+                if (s > bestShare) {
+                    best = candidate
+                    bestShare = s
+                }
+            })
+
+            if (best !== current && bestShare >= settings.enter) current = best
+            else if (current !== null && share(current) < settings.exit) current = null
+
+            return { label: current, confidence: current === null ? 0 : share(current) }
+        },
+        reset() {
+            votes = []
+            current = null
+        }
+    }
+}
+
+/**
+ * Per-hand smoothing: landmarks plus the pose, finger count and trained
+ * gesture labels. Trained matches vote with full weight; they are already
+ * cut off at CUSTOM_SETTINGS.maxDistance.
+ * @param {object} [settings=SMOOTHING_SETTINGS]
+ */
+export const createHandSmoother = (settings = SMOOTHING_SETTINGS) => {
+    const landmarks = createLandmarkFilter(settings)
+    const gesture = createLabelSmoother(settings)
+    const fingers = createLabelSmoother(settings)
+    const custom = createLabelSmoother(settings)
+
+    return {
+        landmarks,
+        /**
+         * @param {{ gesture: string, confidence: number, fingers: number }} classification - See classifyHand
+         * @param {{ name: string }|null} match - See matchCustomGesture
+         * @returns {{ gesture: string|null, confidence: number, fingers: number|null, custom: string|null }}
+         */
+        update(classification, match) {
+            const pose = gesture.update(classification.gesture, classification.confidence)
+            const count = fingers.update(String(classification.fingers), classification.confidence)
+            const trained = custom.update(match ? match.name : null)
+            return {
+                gesture: pose.label,
+                confidence: pose.confidence,
+                fingers: count.label === null ? null : Number(count.label),
+                custom: trained.label
+            }
+        },
+        reset() {
+            landmarks.reset()
+            gesture.reset()
+            fingers.reset()
+            custom.reset()
+        }
+    }
+}
@@ -0,0 +1,171 @@
+import { describe, it, expect } from 'vitest'
+import {
+    createHandSmoother,
+    createLabelSmoother,
+    createLandmarkFilter,
+    createOneEuroFilter,
+    SMOOTHING_SETTINGS
+} from './gestureSmoothing'
+
+/**
+ * Recorded-style sequences at 30 fps: positions with seeded tracking
+ * jitter, and classifier labels with a share of wrong frames mixed in.
+ */
+const FPS = 30
+
+const random = (seed) => () => {
+    seed = (seed * 16807) % 2147483647
+    return seed / 2147483647
+}
+
+const positions = (path, seconds, jitter, seed = 12345) => {
+    const next = random(seed)
+    return Array.from({ length: seconds * FPS }, (_, i) => {
+        const time = i / FPS
+        return { time, truth: path(time), x: path(time) + (next() - 0.5) * 2 * jitter }
+    })
+}
+
+// `label` with `noise` of its frames replaced by `wrong`
+const labels = (label, wrong, frames, noise, seed = 12345) => {
+    const next = random(seed)
+    return Array.from({ length: frames }, () => (next() < noise ? wrong : label))
+}
+
+const rms = (values) => Math.sqrt(values.reduce((sum, v) => sum + v * v, 0) / values.length)
+
+// Times the committed label changes
+const switches = (committed) => committed.filter((label, i) => i > 0 && label !== committed[i - 1]).length
+
+describe('createOneEuroFilter', () => {
+    it('steadies a still hand', () => {
+        const filter = createOneEuroFilter()
+        const samples = positions(() => 0.5, 3, 0.005)
+        const filtered = samples.map(s => filter.filter(s.x, s.time) - s.truth).slice(FPS)
+        const raw = samples.map(s => s.x - s.truth).slice(FPS)
+        expect(rms(filtered)).toBeLessThan(rms(raw) / 2)
+    })
+
+    it('keeps the lag bounded while the hand moves', () => {
+        const filter = createOneEuroFilter()
+        const samples = positions(t => 0.2 + t, 1, 0.005)
+        const lag = samples.map(s => Math.abs(filter.filter(s.x, s.time) - s.truth)).slice(10)
+        expect(Math.max(...lag)).toBeLessThan(0.03) // Image widths, at one width per second
+    })
+
+    it('catches up with a jump', () => {
+        const filter = createOneEuroFilter()
+        let value = 0
+        for (let i = 0; i < 2 * FPS; i++) value = filter.filter(i < FPS ? 0 : 1, i / FPS)
+        expect(value).toBeCloseTo(1, 2)
+    })
+
+    it('passes the first value through and starts again after reset', () => {
+        const filter = createOneEuroFilter()
+        expect(filter.filter(0.3, 0)).toBe(0.3)
+        expect(filter.filter(0.4, 0)).toBe(0.3) // No time passed
+        filter.reset()
+        expect(filter.filter(0.7, 1)).toBe(0.7)
+    })
+
+    it('reads its settings on every call', () => {
+        const settings = { ...SMOOTHING_SETTINGS }
+        const filter = createOneEuroFilter(settings)
+        filter.filter(0, 0)
+        const smooth = filter.filter(1, 1 / FPS)
+        filter.reset()
+        settings.minCutoff = 1000
+        filter.filter(0, 0)
+        expect(filter.filter(1, 1 / FPS)).toBeGreaterThan(smooth)
+    })
+})
+
+describe('createLandmarkFilter', () => {
+    it('filters every coordinate of every landmark', () => {
+        const filter = createLandmarkFilter()
+        const hand = (x) => Array.from({ length: 21 }, (_, i) => ({ x: x + i / 100, y: 0.5, z: i % 2 ? 0.01 : undefined }))
+        filter.filter(hand(0.2), 0)
+        const filtered = filter.filter(hand(0.3), 1 / FPS)
+        expect(filtered).toHaveLength(21)
+        filtered.forEach((l, i) => {
+            expect(l.x).toBeGreaterThan(0.2 + i / 100)
+            expect(l.x).toBeLessThan(0.3 + i / 100)
+            expect(l.y).toBe(0.5)
+            expect(l.z).toBe(i % 2 ? 0.01 : 0)
+        })
+    })
+})
+
+describe('createLabelSmoother', () => {
+    it('does not flicker on noisy frames', () => {
+        const smoother = createLabelSmoother()
+        const frames = [...labels('FIST', 'ROCK', 40, 0.2), ...labels('PEACE', 'THREE', 40, 0.2, 54321)]
+        const committed = frames.map(label => smoother.update(label, 0.9).label)
+        expect(switches(committed)).toBe(2) // null -> FIST -> PEACE
+        expect(committed.slice(10, 40).every(l => l === 'FIST')).toBe(true)
+        expect(committed.slice(-30).every(l => l === 'PEACE')).toBe(true)
+    })
+
+    it('switches within the vote window', () => {
+        const smoother = createLabelSmoother()
+        const committed = [...labels('FIST', 'ROCK', 40, 0.2), ...labels('PEACE', 'THREE', 40, 0.2, 54321)]
+            .map(label => smoother.update(label, 0.9).label)
+        const first = committed.indexOf('FIST')
+        const handover = committed.indexOf('PEACE') - 40
+        expect(first).toBeLessThan(SMOOTHING_SETTINGS.window)
+        expect(handover).toBeGreaterThan(0)
+        expect(handover).toBeLessThanOrEqual(SMOOTHING_SETTINGS.window)
+    })
+
+    it('ignores a single wrong frame', () => {
+        const smoother = createLabelSmoother()
+        for (let i = 0; i < 10; i++) smoother.update('FIST')
+        expect(smoother.update('PEACE').label).toBe('FIST')
+        expect(smoother.update('FIST').label).toBe('FIST')
+    })
+
+    it('needs `enter` to take over and holds on until `exit`', () => {
+        const settings = { ...SMOOTHING_SETTINGS, window: 10, enter: 0.5, exit: 0.25 }
+        const smoother = createLabelSmoother(settings)
+        // 4 of 10 votes are not enough to enter, 5 are
+        for (let i = 0; i < 4; i++) expect(smoother.update('OK').label).toBeNull()
+        for (let i = 0; i < 6; i++) expect(smoother.update('OK').label).toBe('OK')
+
+        // Nothing shown any more: OK holds until fewer than 3 of 10 votes are left
+        const held = []
+        for (let i = 0; i < 8; i++) held.push(smoother.update(null).label)
+        expect(held).toEqual([...new Array(7).fill('OK'), null])
+    })
+
+    it('weights votes by confidence', () => {
+        const smoother = createLabelSmoother()
+        for (let i = 0; i < 10; i++) smoother.update('POINT', 0.4)
+        expect(smoother.update('POINT', 0.4).label).toBeNull()
+        expect(smoother.update('POINT', 1).confidence).toBe(0)
+        for (let i = 0; i < 5; i++) smoother.update('POINT', 1)
+        expect(smoother.update('POINT', 1)).toEqual({ label: 'POINT', confidence: expect.closeTo(0.82, 5) })
+    })
+})
+
+describe('createHandSmoother', () => {
+    it('settles pose, finger count and trained gesture together', () => {
+        const smoother = createHandSmoother()
+        const poses = labels('PEACE', 'THREE', 30, 0.2, 2024)
+        const results = poses.map((gesture, i) => smoother.update(
+            { gesture, confidence: 0.9, fingers: gesture === 'PEACE' ? 2 : 3 },
+            i % 5 === 0 ? null : { name: 'SPOCK' }
+        ))
+        const settled = results.slice(SMOOTHING_SETTINGS.window)
+        expect(settled.every(r => r.gesture === 'PEACE')).toBe(true)
+        expect(settled.every(r => r.fingers === 2)).toBe(true)
+        expect(settled.every(r => r.custom === 'SPOCK')).toBe(true)
+    })
+
+    it('forgets the hand on reset', () => {
+        const smoother = createHandSmoother()
+        for (let i = 0; i < 10; i++) smoother.update({ gesture: 'FIST', confidence: 1, fingers: 0 }, null)
+        smoother.reset()
+        expect(smoother.update({ gesture: 'FIST', confidence: 1, fingers: 0 }, null))
+            .toEqual({ gesture: null, confidence: 0, fingers: null, custom: null })
+    })
+})
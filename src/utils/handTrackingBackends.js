@@ -0,0 +1,197 @@
+import * as Comlink from 'comlink'
+
+/**
+ * Hand Tracking Backends
+ * Where MediaPipe runs. The worker backend (workers/handTracking.worker.js,
+ * HandLandmarker from @mediapipe/tasks-vision) keeps inference off the main
+ * thread: camera frames cross as transferred ImageBitmaps, results come back
+ * asynchronously, and new frames are dropped while the worker is busy. The
+ * main-thread backend is the legacy Hands solution from the CDN scripts in
+ * index.html, kept as the fallback. Both deliver results in the legacy shape
+ * ({ multiHandLandmarks, multiHandedness }) and report stats once a second.
+ */
+
+const WORKER_INIT_TIMEOUT = 12000 // ms; model and WASM come from a CDN
+const GLOBALS_TIMEOUT = 5000      // ms to wait for the Hands / Camera scripts
+const STATS_INTERVAL = 1000       // ms
+const LATENCY_SMOOTHING = 0.2     // Weight of each new latency sample
+
+/**
+ * Frame rate, latency and dropped frames, reported every STATS_INTERVAL.
+ * @param {'worker'|'main'} backend
+ * @param {(stats: { backend: string, fps: number, latency: number, dropped: number }) => void} onStats
+ */
+export const createTrackingStats = (backend, onStats) => {
+    let results = 0
+    let dropped = 0
+    let latency = null
+    let since = performance.now()
+
+    return {
+        /** @param {number} ms - Frame capture to results */
+        result(ms) {
+            results++
+            latency = latency === null ? ms : latency + LATENCY_SMOOTHING * (ms - latency)
+            const now = performance.now()
+            if (now - since < STATS_INTERVAL) return
+            onStats({
+                backend,
+                fps: Math.round(results * 1000 / (now - since)),
+                latency: Math.round(latency),
+                dropped
+            })
+            results = 0
+            dropped = 0
+            since = now
+        },
+        drop() {
+            dropped++
+        }
+    }
+}
+
+/**
+ * HandLandmarker result -> legacy Hands results. Both label handedness as
+ * seen in a mirrored image; see physicalHandedness.
+ */
+export const toHandsResults = ({ landmarks, handedness }) => ({
+    multiHandLandmarks: landmarks,
+    multiHandedness: handedness.map(([category]) => ({ label: category.categoryName, score: category.score }))
+})
+
+const withTimeout = (promise, ms, message) => Promise.race([
+    promise,
+    new Promise((resolve, reject) => setTimeout(() => reject(new Error(message)), ms))
+])
+
+/**
+ * Track in the Web Worker.
+ * @param {HTMLVideoElement} video - Playing camera stream
+ * @param {object} callbacks
+ * @param {(results: object) => void} callbacks.onResults
+ * @param {(stats: object) => void} callbacks.onStats
+ * @param {(err: Error) => void} callbacks.onError - The worker died after starting
+ * @returns {Promise<{ backend: 'worker', stop: () => void }>} Rejects when the worker cannot start
+ */
+export const createWorkerTracker = async (video, { onResults, onStats, onError }) => {
+    if (typeof Worker === 'undefined' || typeof createImageBitmap === 'undefined') {
+        throw new Error('Web Workers or ImageBitmap not supported')
+    }
+
+    const worker = new Worker(new URL('../workers/handTracking.worker.js', import.meta.url), { type: 'module' })
+    const api = Comlink.wrap(worker)
+    let running = true
+
+    const stop = () => {
+        running = false
+        api[Comlink.releaseProxy]()
+        worker.terminate()
+    }
+
+    try {
+        const ready = await withTimeout(api.init(), WORKER_INIT_TIMEOUT, 'HandLandmarker took too long to load')
+        if (!ready) throw new Error('HandLandmarker failed to load')
+    } catch (err) {
+        stop()
+        throw err
+    }
+
+    worker.addEventListener('error', (e) => {
+        if (!running) return
+        stop()
+        onError(new Error(e.message || 'Worker crashed'))
+    })
+
+    const stats = createTrackingStats('worker', onStats)
+    let busy = false
+
+    // New camera frames where the browser can tell us about them, else every display frame
+    const nextFrame = (callback) => (video.requestVideoFrameCallback
+        ? video.requestVideoFrameCallback(callback)
+        : requestAnimationFrame(callback))
+
+    const pump = async () => {
+        if (!running) return
+        nextFrame(pump)
+        if (video.readyState < 2) return
+        if (busy) {
+            stats.drop()
+            return
+        }
+
+        busy = true
+        const captured = performance.now()
+        try {
+            const bitmap = await createImageBitmap(video)
+            const result = await api.detect(Comlink.transfer(bitmap, [bitmap]), captured)
+            if (running && result) {
+                onResults(toHandsResults(result))
+                stats.result(performance.now() - captured)
+            }
+        } catch (err) {
+            if (running) console.warn('Hand tracking frame failed:', err)
+        } finally {
+            busy = false
+        }
+    }
+    nextFrame(pump)
+
+    return { backend: 'worker', stop }
+}
+
+const waitForGlobals = () => new Promise((resolve, reject) => {
+    const start = performance.now()
+    const check = () => {
+        if (window.Hands && window.Camera) return resolve()
+        if (performance.now() - start > GLOBALS_TIMEOUT) {
+            return reject(new Error('MediaPipe globals (Hands/Camera) not found. Check Internet/CDN.'))
+        }
+        requestAnimationFrame(check)
+    }
+    check()
+})
+
+/**
+ * Track on the main thread with the legacy Hands solution.
+ * @param {HTMLVideoElement} video - Playing camera stream
+ * @param {object} callbacks - See createWorkerTracker (no onError)
+ * @returns {Promise<{ backend: 'main', stop: () => void }>}
+ */
+export const createMainThreadTracker = async (video, { onResults, onStats }) => {
+    await waitForGlobals()
+
+    const hands = new window.Hands({
+        locateFile: (file) => `https://cdn.jsdelivr.net/npm/@mediapipe/hands/${file}`,
+    })
+    hands.setOptions({
+        maxNumHands: 2,
+        modelComplexity: 0,
+        minDetectionConfidence: 0.6,
+        minTrackingConfidence: 0.6,
+    })
+    hands.onResults(onResults)
+
+    const stats = createTrackingStats('main', onStats)
+    let running = true
+
+    // The camera helper waits for each send, so frames queue up rather than drop
+    const camera = new window.Camera(video, {
+        onFrame: async () => {
+            if (!running || video.videoWidth === 0) return
+            const captured = performance.now()
+            await hands.send({ image: video })
+            stats.result(performance.now() - captured)
+        },
+        width: 640, height: 480,
+    })
+    await camera.start()
+
+    return {
+        backend: 'main',
+        stop() {
+            running = false
+            camera.stop()
+            hands.close()
+        }
+    }
+}
@@ -0,0 +1,32 @@
+import { registerShape, getShape, uniqueShapeName, DEFAULT_SHAPE } from './shapeRegistry'
+import { generateImage } from './rasterGenerators'
+import { shapeNameFromFile } from './modelLoader'
+
+/**
+ * Image Loader
+ * Turns a local image (logo, photo) into a coloured particle target shape.
+ */
+
+export const isImageFile = (file) => file.type.startsWith('image/')
+
+/**
+ * Load an image file and register it as a target shape. Never replaces a
+ * registered shape: a taken name gets a suffix (see uniqueShapeName).
+ * @param {File} file
+ * @param {string} name - Registry name, defaults to the file name
+ * @param {object} params - generateImage options (resolution, depth, threshold)
+ * @returns {Promise<string>} Registered shape name
+ */
+export const registerImageShape = async (file, name = shapeNameFromFile(file), params = {}) => {
+    const image = await createImageBitmap(file)
+
+    const shapeName = uniqueShapeName(name)
+    registerShape(shapeName, {
+        generate: (count, options) => generateImage(count, options),
+        color: '#ffffff',
+        scale: getShape(DEFAULT_SHAPE).scale,
+        params: { ...params, image }
+    })
+
+    return shapeName
+}
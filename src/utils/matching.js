@@ -0,0 +1,82 @@
+/**
+ * Particle Correspondence
+ * Near-optimal assignment of new target slots to particles so each one
+ * travels a short path. Both point sets are ordered along a Morton (Z-order)
+ * curve and paired rank by rank: O(n log n), good enough for 250k+ points.
+ */
+
+const BITS = 10 // Per axis, 30-bit codes
+const CELLS = (1 << BITS) - 1
+
+// Spread the low 10 bits so two zero bits sit between each
+const spreadBits = (v) => {
+    v = (v | (v << 16)) & 0x030000ff
+    v = (v | (v << 8)) & 0x0300f00f
+    v = (v | (v << 4)) & 0x030c30c3
+    v = (v | (v << 2)) & 0x09249249
+    return v
+}
+
+/**
+ * Indices of positions sorted along the Z-order curve inside a shared box.
+ */
+const mortonOrder = (positions, min, size) => {
+    const count = positions.length / 3
+    const codes = new Uint32Array(count)
+
+    for (let i = 0; i < count; i++) {
+        const x = Math.round((positions[i * 3] - min[0]) / size * CELLS)
+        const y = Math.round((positions[i * 3 + 1] - min[1]) / size * CELLS)
+        const z = Math.round((positions[i * 3 + 2] - min[2]) / size * CELLS)
+        codes[i] = (spreadBits(x) | (spreadBits(y) << 1) | (spreadBits(z) << 2)) >>> 0
+    }
+
+    const order = new Uint32Array(count)
+    for (let i = 0; i < count; i++) order[i] = i
+    return order.sort((a, b) => codes[a] - codes[b])
+}
+
+const bounds = (a, b) => {
+    const min = [Infinity, Infinity, Infinity]
+    const max = [-Infinity, -Infinity, -Infinity]
+    for (const positions of [a, b]) {
+        for (let i = 0; i < positions.length; i++) {
+            const axis = i % 3
+            if (positions[i] < min[axis]) min[axis] = positions[i]
+            if (positions[i] > max[axis]) max[axis] = positions[i]
+        }
+    }
+    return { min, size: Math.max(max[0] - min[0], max[1] - min[1], max[2] - min[2]) || 1 }
+}
+
+/**
+ * Reorder target data so slot i sits close to where particle i is now.
+ * @param {Float32Array} from - Current xyz per particle
+ * @param {Float32Array} to - New target xyz per particle (same count)
+ * @param {Float32Array[]} attributes - Per-particle rgb arrays to permute alongside (e.g. colours)
+ * @returns {{ positions: Float32Array, attributes: Float32Array[] }}
+ */
+export const matchTargets = (from, to, attributes = []) => {
+    const count = from.length / 3
+    const { min, size } = bounds(from, to)
+    const fromOrder = mortonOrder(from, min, size)
+    const toOrder = mortonOrder(to, min, size)
+
+    const positions = new Float32Array(to.length)
+    const permuted = attributes.map(a => new Float32Array(a.length))
+
+    for (let rank = 0; rank < count; rank++) {
+        const dst = fromOrder[rank] * 3
+        const src = toOrder[rank] * 3
+        positions[dst] = to[src]
+        positions[dst + 1] = to[src + 1]
+        positions[dst + 2] = to[src + 2]
+        attributes.forEach((a, k) => {
+            permuted[k][dst] = a[src]
+            permuted[k][dst + 1] = a[src + 1]
+            permuted[k][dst + 2] = a[src + 2]
+        })
+    }
+
+    return { positions, attributes: permuted }
+}
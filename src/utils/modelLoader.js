@@ -0,0 +1,197 @@
+import * as THREE from 'three'
+import { PLYLoader } from 'three/addons/loaders/PLYLoader.js'
+import { OBJLoader } from 'three/addons/loaders/OBJLoader.js'
+import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js'
+import { MeshSurfaceSampler } from 'three/addons/math/MeshSurfaceSampler.js'
+import { getShape, registerShape, uniqueShapeName, DEFAULT_SHAPE } from './shapeRegistry'
+import { random } from './random'
+
+/**
+ * Model Loader
+ * Turns a local PLY / OBJ / glTF file into a particle target shape by
+ * sampling its surface. glTF must be self-contained (.glb or embedded buffers).
+ */
+
+export const MODEL_EXTENSIONS = ['ply', 'obj', 'gltf', 'glb']
+
+const getExtension = (file) => file.name.split('.').pop().toLowerCase()
+
+export const isModelFile = (file) => MODEL_EXTENSIONS.includes(getExtension(file))
+
+const parseGLTF = (buffer) => new Promise((resolve, reject) => {
+    new GLTFLoader().parse(buffer, '', (gltf) => resolve(gltf.scene), reject)
+})
+
+/**
+ * Parse a dropped/selected file into an Object3D.
+ * @param {File} file
+ */
+export const loadModel = async (file) => {
+    const extension = getExtension(file)
+
+    switch (extension) {
+        case 'ply': {
+            const geometry = new PLYLoader().parse(await file.arrayBuffer())
+            // PLY without faces is a point cloud
+            return geometry.index
+                ? new THREE.Mesh(geometry)
+                : new THREE.Points(geometry)
+        }
+        case 'obj':
+            return new OBJLoader().parse(await file.text())
+        case 'gltf':
+        case 'glb':
+            return parseGLTF(await file.arrayBuffer())
+        default:
+            throw new Error(`Unsupported model format ".${extension}"`)
+    }
+}
+
+/**
+ * Surface area of a (world space) triangle geometry.
+ */
+const geometryArea = (geometry) => {
+    const position = geometry.attributes.position
+    const index = geometry.index
+    const triangleCount = (index ? index.count : position.count) / 3
+    const triangle = new THREE.Triangle()
+    let area = 0
+
+    for (let i = 0; i < triangleCount; i++) {
+        const a = index ? index.getX(i * 3) : i * 3
+        const b = index ? index.getX(i * 3 + 1) : i * 3 + 1
+        const c = index ? index.getX(i * 3 + 2) : i * 3 + 2
+        triangle.setFromAttributeAndIndices(position, a, b, c)
+        area += triangle.getArea()
+    }
+
+    return area
+}
+
+/**
+ * Split count across parts proportionally to weight; remainder goes to the heaviest.
+ */
+const distribute = (count, weights) => {
+    const total = weights.reduce((sum, w) => sum + w, 0)
+    const counts = weights.map(w => (total > 0 ? Math.floor(count * w / total) : 0))
+    const heaviest = weights.indexOf(Math.max(...weights))
+    counts[heaviest] += count - counts.reduce((sum, c) => sum + c, 0)
+    return counts
+}
+
+/**
+ * Build a generate(count) function for a loaded model.
+ * Meshes are sampled area-weighted across the whole model; point clouds
+ * (no faces) are resampled by vertex. The result is centred and scaled to
+ * unit radius so the registry scale matches SPHERE.
+ * @param {THREE.Object3D} root
+ */
+export const createModelGenerator = (root) => {
+    root.updateMatrixWorld(true)
+
+    // Bake world transforms so multi-part models keep their layout
+    const meshes = []
+    const clouds = []
+    root.traverse((object) => {
+        if (!object.geometry || !object.geometry.attributes.position) return
+        const geometry = object.geometry.clone().applyMatrix4(object.matrixWorld)
+        if (object.isMesh) meshes.push(new THREE.Mesh(geometry))
+        else if (object.isPoints) clouds.push(geometry)
+    })
+
+    if (meshes.length === 0 && clouds.length === 0) {
+        throw new Error('Model contains no geometry')
+    }
+
+    // Normalise to unit radius around the bounding box centre
+    const box = new THREE.Box3()
+    const geometries = meshes.length > 0 ? meshes.map(m => m.geometry) : clouds
+    geometries.forEach((geometry) => {
+        geometry.computeBoundingBox()
+        box.union(geometry.boundingBox)
+    })
+    const center = box.getCenter(new THREE.Vector3())
+    let radius = 0
+    const vertex = new THREE.Vector3()
+    geometries.forEach((geometry) => {
+        const position = geometry.attributes.position
+        for (let i = 0; i < position.count; i++) {
+            radius = Math.max(radius, vertex.fromBufferAttribute(position, i).distanceTo(center))
+        }
+    })
+    const invRadius = radius > 0 ? 1 / radius : 1
+
+    const hasColors = geometries.some(g => g.attributes.color)
+    const samplers = meshes.map(mesh => new MeshSurfaceSampler(mesh).setRandomGenerator(random).build())
+    const areas = meshes.map(mesh => geometryArea(mesh.geometry))
+
+    return (count) => {
+        const positions = new Float32Array(count * 3)
+        const colors = hasColors ? new Float32Array(count * 3).fill(1) : null
+        const point = new THREE.Vector3()
+        const normal = new THREE.Vector3()
+        const color = new THREE.Color(1, 1, 1)
+
+        const write = (i, withColor) => {
+            point.sub(center).multiplyScalar(invRadius)
+            positions[i * 3] = point.x
+            positions[i * 3 + 1] = point.y
+            positions[i * 3 + 2] = point.z
+            if (colors && withColor) {
+                colors[i * 3] = color.r
+                colors[i * 3 + 1] = color.g
+                colors[i * 3 + 2] = color.b
+            }
+        }
+
+        let i = 0
+        if (samplers.length > 0) {
+            distribute(count, areas).forEach((partCount, part) => {
+                const withColor = Boolean(meshes[part].geometry.attributes.color)
+                for (let n = 0; n < partCount; n++, i++) {
+                    samplers[part].sample(point, normal, color)
+                    write(i, withColor)
+                }
+            })
+        } else {
+            distribute(count, clouds.map(g => g.attributes.position.count)).forEach((partCount, part) => {
+                const position = clouds[part].attributes.position
+                const colorAttribute = clouds[part].attributes.color
+                for (let n = 0; n < partCount; n++, i++) {
+                    const v = Math.floor(random() * position.count)
+                    point.fromBufferAttribute(position, v)
+                    if (colorAttribute) color.fromBufferAttribute(colorAttribute, v)
+                    write(i, Boolean(colorAttribute))
+                }
+            })
+        }
+
+        return { positions, colors }
+    }
+}
+
+/**
+ * Shape name derived from a file name: "brand-logo.glb" -> "BRAND_LOGO".
+ */
+export const shapeNameFromFile = (file) =>
+    file.name.replace(/\.[^.]+$/, '').toUpperCase().replace(/[^A-Z0-9]+/g, '_')
+
+/**
+ * Load a model file and register it as a target shape. Never replaces a
+ * registered shape: a taken name gets a suffix (see uniqueShapeName).
+ * @param {File} file
+ * @param {string} name - Registry name, defaults to the file name
+ * @returns {Promise<string>} Registered shape name
+ */
+export const registerModelShape = async (file, name = shapeNameFromFile(file)) => {
+    const root = await loadModel(file)
+
+    const shapeName = uniqueShapeName(name)
+    registerShape(shapeName, {
+        generate: createModelGenerator(root),
+        color: '#ffffff',
+        scale: getShape(DEFAULT_SHAPE).scale
+    })
+
+    return shapeName
+}
@@ -0,0 +1,198 @@
+/**
+ * Motion Gestures
+ * Gestures made by moving the hand rather than holding a pose: swipes,
+ * circles, waves and pushes towards the camera. A tracker keeps a short
+ * history of hand samples per hand; detectMotion reads a history and is
+ * pure, so recorded sequences can be replayed through it.
+ *
+ * Samples are in screen terms: x grows to the right as the user sees it
+ * (the camera image is mirrored), y grows upwards, both in image heights.
+ */
+
+// Thresholds, tunable at runtime (e.g. from a preset)
+export const MOTION_SETTINGS = {
+    swipeDistance: 0.25, // Image heights travelled within SWIPE_WINDOW
+    swipeSpeed: 1.2,     // Image heights per second
+    circleRadius: 0.05,  // Smallest circle, image heights
+    circleTurns: 0.85,   // Share of a full turn
+    waveAmplitude: 0.05, // Side to side travel between reversals, image heights
+    waveReversals: 3,
+    pushGrowth: 0.3,     // Apparent palm size increase (0.3 = 30% bigger)
+    cooldown: 0.6        // Seconds after a gesture before the next
+}
+
+export const MOTION_GESTURES = [
+    'SWIPE_LEFT', 'SWIPE_RIGHT', 'SWIPE_UP', 'SWIPE_DOWN',
+    'CIRCLE_CW', 'CIRCLE_CCW', 'WAVE', 'PUSH'
+]
+
+// Seconds of history each gesture looks at
+const SWIPE_WINDOW = 0.35
+const CIRCLE_WINDOW = 1.5
+const WAVE_WINDOW = 1.2
+const PUSH_WINDOW = 0.4
+const HISTORY_TIME = Math.max(SWIPE_WINDOW, CIRCLE_WINDOW, WAVE_WINDOW, PUSH_WINDOW)
+
+const SWIPE_STRAIGHTNESS = 2 // Main axis travel vs the other axis
+const CIRCLE_ROUNDNESS = 0.45 // Largest spread of radii (std / mean)
+
+const WRIST = 0
+const MIDDLE_MCP = 9
+
+/**
+ * One history sample from a hand's landmarks.
+ * @param {Array<{x: number, y: number}>} landmarks - 21 MediaPipe landmarks
+ * @param {number} time - Seconds
+ * @param {number} [aspect=4/3] - Image width / height
+ * @returns {{ time: number, x: number, y: number, size: number }} size = palm length, image heights
+ */
+export const toMotionSample = (landmarks, time, aspect = 4 / 3) => {
+    const centre = landmarks[MIDDLE_MCP]
+    const wrist = landmarks[WRIST]
+    return {
+        time,
+        x: (1 - centre.x) * aspect,
+        y: 1 - centre.y,
+        size: Math.hypot((centre.x - wrist.x) * aspect, centre.y - wrist.y)
+    }
+}
+
+// Samples from the last `window` seconds; too short a span to judge gives null
+const recent = (samples, window) => {
+    const end = samples[samples.length - 1].time
+    const slice = samples.filter(s => s.time >= end - window)
+    return slice.length >= 3 && end - slice[0].time >= window * 0.5 ? slice : null
+}
+
+const detectSwipe = (samples, settings) => {
+    const slice = recent(samples, SWIPE_WINDOW)
+    if (!slice) return null
+
+    const first = slice[0]
+    const last = slice[slice.length - 1]
+    const dx = last.x - first.x
+    const dy = last.y - first.y
+    const distance = Math.hypot(dx, dy)
+    const speed = distance / (last.time - first.time)
+    if (distance < settings.swipeDistance || speed < settings.swipeSpeed) return null
+
+    if (Math.abs(dx) >= Math.abs(dy) * SWIPE_STRAIGHTNESS) {
+        return { gesture: dx > 0 ? 'SWIPE_RIGHT' : 'SWIPE_LEFT', speed }
+    }
+    if (Math.abs(dy) >= Math.abs(dx) * SWIPE_STRAIGHTNESS) {
+        return { gesture: dy > 0 ? 'SWIPE_UP' : 'SWIPE_DOWN', speed }
+    }
+    return null
+}
+
+const detectCircle = (samples, settings) => {
+    const slice = recent(samples, CIRCLE_WINDOW)
+    if (!slice) return null
+
+    const cx = slice.reduce((sum, s) => sum + s.x, 0) / slice.length
+    const cy = slice.reduce((sum, s) => sum + s.y, 0) / slice.length
+    const radii = slice.map(s => Math.hypot(s.x - cx, s.y - cy))
+    const radius = radii.reduce((sum, r) => sum + r, 0) / radii.length
+    if (radius < settings.circleRadius) return null
+
+    const spread = Math.sqrt(radii.reduce((sum, r) => sum + (r - radius) ** 2, 0) / radii.length)
+    if (spread / radius > CIRCLE_ROUNDNESS) return null
+
+    // Signed angle swept around the centre; positive is anticlockwise (y up)
+    let swept = 0
+    for (let i = 1; i < slice.length; i++) {
+        const a = Math.atan2(slice[i - 1].y - cy, slice[i - 1].x - cx)
+        const b = Math.atan2(slice[i].y - cy, slice[i].x - cx)
+        swept += Math.atan2(Math.sin(b - a), Math.cos(b - a))
+    }
+    const turns = Math.abs(swept) / (2 * Math.PI)
+    if (turns < settings.circleTurns) return null
+
+    const duration = slice[slice.length - 1].time - slice[0].time
+    return {
+        gesture: swept > 0 ? 'CIRCLE_CCW' : 'CIRCLE_CW',
+        radius,
+        angularSpeed: swept / duration // Radians per second, signed like swept
+    }
+}
+
+const detectWave = (samples, settings) => {
+    const slice = recent(samples, WAVE_WINDOW)
+    if (!slice) return null
+
+    // Count turns in x that travel at least the amplitude back
+    let extreme = slice[0].x
+    let direction = 0
+    let reversals = 0
+    slice.forEach(({ x }) => {
+        const delta = x - extreme
+        if (direction === 0) {
+            if (Math.abs(delta) < settings.waveAmplitude) return
+            direction = Math.sign(delta)
+            extreme = x
+        } else if (Math.sign(delta) === direction) {
+            extreme = x // Still going the same way
+        } else if (Math.abs(delta) >= settings.waveAmplitude) {
+            reversals++
+            direction = -direction
+            extreme = x
+        }
+    })
+    return reversals >= settings.waveReversals ? { gesture: 'WAVE', reversals } : null
+}
+
+const detectPush = (samples, settings) => {
+    const slice = recent(samples, PUSH_WINDOW)
+    if (!slice) return null
+
+    const smallest = Math.min(...slice.map(s => s.size))
+    const growth = slice[slice.length - 1].size / (smallest || 1) - 1
+    return growth >= settings.pushGrowth ? { gesture: 'PUSH', growth } : null
+}
+
+/**
+ * Find a motion gesture in a history.
+ * @param {Array<{ time: number, x: number, y: number, size: number }>} samples - Oldest first, see toMotionSample
+ * @param {object} [settings=MOTION_SETTINGS]
+ * @returns {{ gesture: string }|null} The gesture and its measurements (speed, angularSpeed, ...)
+ */
+export const detectMotion = (samples, settings = MOTION_SETTINGS) => {
+    if (samples.length < 3) return null
+    return detectPush(samples, settings)
+        ?? detectCircle(samples, settings)
+        ?? detectWave(samples, settings)
+        ?? detectSwipe(samples, settings)
+}
+
+/**
+ * Rolling history for one hand. Each detected gesture clears the history and
+ * starts a cooldown, so one movement fires once.
+ * @param {object} [settings=MOTION_SETTINGS] - Read on every push, so live changes apply
+ */
+export const createMotionTracker = (settings = MOTION_SETTINGS) => {
+    let samples = []
+    let quietUntil = -Infinity
+
+    return {
+        /**
+         * @param {{ time: number, x: number, y: number, size: number }} sample
+         * @returns {{ gesture: string }|null}
+         */
+        push(sample) {
+            samples.push(sample)
+            samples = samples.filter(s => s.time >= sample.time - HISTORY_TIME)
+            if (sample.time < quietUntil) return null
+
+            const motion = detectMotion(samples, settings)
+            if (motion) {
+                samples = []
+                quietUntil = sample.time + settings.cooldown
+            }
+            return motion
+        },
+
+        reset() {
+            samples = []
+        }
+    }
+}
@@ -0,0 +1,138 @@
+import { describe, it, expect } from 'vitest'
+import { createMotionTracker, detectMotion, MOTION_SETTINGS, toMotionSample } from './motionGestures'
+
+/**
+ * Sample sequences as the tracker would record them at 30 fps, with a
+ * little seeded tracking jitter on every coordinate.
+ */
+const FPS = 30
+const JITTER = 0.004
+
+const noise = (seed) => () => {
+    seed = (seed * 16807) % 2147483647
+    return (seed / 2147483647 - 0.5) * 2 * JITTER
+}
+
+const record = (path, duration, seed = 1) => {
+    const jitter = noise(seed)
+    return Array.from({ length: Math.round(duration * FPS) }, (_, i) => {
+        const time = i / FPS
+        const { x = 0.6, y = 0.5, size = 0.2 } = path(time)
+        return { time, x: x + jitter(), y: y + jitter(), size: size + jitter() / 4 }
+    })
+}
+
+// Gestures the tracker fires over a whole sequence
+const replay = (samples, settings) => {
+    const tracker = createMotionTracker(settings)
+    return samples.map(s => tracker.push(s)).filter(Boolean).map(m => m.gesture)
+}
+
+const circle = (radius, period, direction = 1) => (t) => ({
+    x: 0.6 + radius * Math.cos(direction * t * 2 * Math.PI / period),
+    y: 0.5 + radius * Math.sin(direction * t * 2 * Math.PI / period)
+})
+
+describe('swipes', () => {
+    it.each([
+        ['SWIPE_RIGHT', t => ({ x: 0.3 + 1.6 * t })],
+        ['SWIPE_LEFT', t => ({ x: 0.9 - 1.6 * t })],
+        ['SWIPE_UP', t => ({ y: 0.2 + 1.6 * t })],
+        ['SWIPE_DOWN', t => ({ y: 0.8 - 1.6 * t })]
+    ])('%s fires once', (gesture, path) => {
+        expect(replay(record(path, 0.4))).toEqual([gesture])
+    })
+
+    it('ignores a slow drift over the same distance', () => {
+        expect(replay(record(t => ({ x: 0.3 + 0.3 * t }), 1.5))).toEqual([])
+    })
+
+    it('ignores a fast move that is too short', () => {
+        // 0.2 image heights at 2 per second: fast enough, short of swipeDistance
+        expect(replay(record(t => ({ x: 0.3 + 2 * Math.min(t, 0.1) }), 0.5))).toEqual([])
+    })
+
+    it('ignores a diagonal', () => {
+        expect(replay(record(t => ({ x: 0.3 + 1.2 * t, y: 0.3 + 1.2 * t }), 0.4))).toEqual([])
+    })
+
+    it('reports the speed', () => {
+        const motion = detectMotion(record(t => ({ x: 0.3 + 1.6 * t }), 0.35))
+        expect(motion.gesture).toBe('SWIPE_RIGHT')
+        expect(motion.speed).toBeCloseTo(1.6, 1)
+    })
+})
+
+describe('circles', () => {
+    it('tells the direction', () => {
+        expect(replay(record(circle(0.12, 1.2), 1.3))).toEqual(['CIRCLE_CCW'])
+        expect(replay(record(circle(0.12, 1.2, -1), 1.3))).toEqual(['CIRCLE_CW'])
+    })
+
+    it('needs most of a turn', () => {
+        // Half a turn in the same time
+        expect(replay(record(circle(0.12, 2.6), 1.3))).not.toContain('CIRCLE_CCW')
+    })
+
+    it('ignores circles smaller than circleRadius', () => {
+        expect(replay(record(circle(0.03, 1.2), 1.3))).toEqual([])
+    })
+})
+
+describe('waves', () => {
+    it('fires on three reversals', () => {
+        expect(replay(record(t => ({ x: 0.6 + 0.07 * Math.sin(t * 2 * Math.PI * 2.5) }), 1.2))).toEqual(['WAVE'])
+    })
+
+    it('ignores a shake smaller than waveAmplitude', () => {
+        expect(replay(record(t => ({ x: 0.6 + 0.02 * Math.sin(t * 2 * Math.PI * 2.5) }), 1.2))).toEqual([])
+    })
+
+    it('ignores too few reversals', () => {
+        // Just over a period: two reversals
+        expect(replay(record(t => ({ x: 0.6 + 0.07 * Math.sin(t * 2 * Math.PI * 0.9) }), 1.2))).toEqual([])
+    })
+})
+
+describe('pushes', () => {
+    it('fires when the palm grows by pushGrowth', () => {
+        expect(replay(record(t => ({ size: 0.2 * (1 + 1.2 * t) }), 0.4))).toEqual(['PUSH'])
+    })
+
+    it('ignores a slight lean forwards', () => {
+        expect(replay(record(t => ({ size: 0.2 * (1 + 0.4 * t) }), 0.4))).toEqual([])
+    })
+})
+
+describe('createMotionTracker', () => {
+    it('stays quiet for a still, jittery hand', () => {
+        expect(replay(record(() => ({}), 3))).toEqual([])
+    })
+
+    it('waits out the cooldown between gestures', () => {
+        // One long swipe fires once, and again only once the cooldown is over
+        const swipe = t => ({ x: 0.3 + 1.6 * t })
+        expect(replay(record(swipe, 0.7))).toEqual(['SWIPE_RIGHT'])
+        expect(replay(record(swipe, 1.2))).toEqual(['SWIPE_RIGHT', 'SWIPE_RIGHT'])
+    })
+
+    it('uses the given thresholds', () => {
+        const settings = { ...MOTION_SETTINGS, swipeDistance: 1 }
+        const samples = record(t => ({ x: 0.3 + 1.6 * t }), 0.4)
+        expect(replay(samples, settings)).toEqual([])
+        settings.swipeDistance = MOTION_SETTINGS.swipeDistance
+        expect(replay(samples, settings)).toEqual(['SWIPE_RIGHT'])
+    })
+})
+
+describe('toMotionSample', () => {
+    it('mirrors x and flips y into screen terms', () => {
+        const landmarks = Array.from({ length: 21 }, () => ({ x: 0.5, y: 0.8 }))
+        landmarks[9] = { x: 0.25, y: 0.6 }
+        const sample = toMotionSample(landmarks, 2, 4 / 3)
+        expect(sample.time).toBe(2)
+        expect(sample.x).toBeCloseTo(1)
+        expect(sample.y).toBeCloseTo(0.4)
+        expect(sample.size).toBeCloseTo(Math.hypot(0.25 * 4 / 3, 0.2))
+    })
+})
@@ -0,0 +1,113 @@
+import * as THREE from 'three'
+
+/**
+ * Colour Palettes
+ * A palette maps a per-particle metric (radius, height, index, ...) onto a
+ * gradient of colour stops. Repeating a stop position gives hard bands.
+ *
+ * @typedef {object} PaletteDefinition
+ * @property {Array<string|number|{at: number, color: string|number}>} stops - Evenly spaced unless `at` (0-1) is given
+ * @property {'radius'|'radiusXY'|'height'|'index'|'axis'} [by='radius'] - Metric mapped onto the gradient
+ * @property {number[]} [axis] - Direction for by: 'axis'
+ * @property {number[]} [range] - [min, max] of the metric in generator units; fitted to the shape when omitted
+ */
+
+const METRICS = {
+    radius: (x, y, z) => Math.sqrt(x * x + y * y + z * z),
+    radiusXY: (x, y) => Math.sqrt(x * x + y * y),
+    height: (x, y) => y,
+    index: (x, y, z, i) => i,
+    axis: (x, y, z, i, axis) => x * axis[0] + y * axis[1] + z * axis[2]
+}
+
+export const PALETTE_METRICS = Object.keys(METRICS)
+
+/**
+ * Validate a palette definition and resolve its colours.
+ * @param {PaletteDefinition} definition
+ */
+export const createPalette = (definition) => {
+    const { stops, by = 'radius', axis = [0, 1, 0], range = null } = definition
+    if (!Array.isArray(stops) || stops.length === 0) {
+        throw new Error('Palette needs at least one colour stop')
+    }
+    if (!METRICS[by]) throw new Error(`Unknown palette metric "${by}"`)
+
+    const resolved = stops.map((stop, i) => {
+        const isStop = typeof stop === 'object' && stop !== null
+        return {
+            at: isStop && stop.at !== undefined ? stop.at : (stops.length > 1 ? i / (stops.length - 1) : 0),
+            color: new THREE.Color(isStop ? stop.color : stop)
+        }
+    }).sort((a, b) => a.at - b.at)
+
+    const length = Math.hypot(...axis) || 1
+    return { stops: resolved, by, axis: axis.map(v => v / length), range }
+}
+
+/**
+ * Plain, JSON-safe definition of a resolved palette (inverse of createPalette).
+ * @param {ReturnType<typeof createPalette>} palette
+ * @returns {PaletteDefinition}
+ */
+export const paletteToDefinition = (palette) => ({
+    stops: palette.stops.map(({ at, color }) => ({ at, color: `#${color.getHexString()}` })),
+    by: palette.by,
+    axis: [...palette.axis],
+    range: palette.range ? [...palette.range] : null
+})
+
+/**
+ * Sample the gradient at t (0-1) into target.
+ */
+const sampleStops = (stops, t, target) => {
+    if (t <= stops[0].at) return target.copy(stops[0].color)
+
+    for (let s = 1; s < stops.length; s++) {
+        const b = stops[s]
+        if (t <= b.at) {
+            const a = stops[s - 1]
+            const span = b.at - a.at
+            return target.copy(a.color).lerp(b.color, span > 0 ? (t - a.at) / span : 1)
+        }
+    }
+
+    return target.copy(stops[stops.length - 1].color)
+}
+
+/**
+ * Per-particle colours for a set of positions.
+ * @param {ReturnType<typeof createPalette>} palette
+ * @param {Float32Array} positions - xyz per particle
+ * @param {number} scale - Divides positions back into generator units
+ * @returns {Float32Array} rgb per particle
+ */
+export const paletteColors = (palette, positions, scale = 1) => {
+    const count = positions.length / 3
+    const metric = METRICS[palette.by]
+    const values = new Float32Array(count)
+
+    let min = Infinity
+    let max = -Infinity
+    for (let i = 0; i < count; i++) {
+        const i3 = i * 3
+        const v = metric(positions[i3] / scale, positions[i3 + 1] / scale, positions[i3 + 2] / scale, i, palette.axis)
+        values[i] = v
+        if (v < min) min = v
+        if (v > max) max = v
+    }
+    if (palette.range) [min, max] = palette.range
+
+    const span = max - min
+    const colors = new Float32Array(count * 3)
+    const color = new THREE.Color()
+    for (let i = 0; i < count; i++) {
+        const t = span > 0 ? (values[i] - min) / span : 0
+        sampleStops(palette.stops, t, color)
+        colors[i * 3] = color.r
+        colors[i * 3 + 1] = color.g
+        colors[i * 3 + 2] = color.b
+    }
+
+    return colors
+}
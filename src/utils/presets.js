@@ -0,0 +1,455 @@
+import { FORCE_TYPES, FALLOFFS, MAX_FORCES } from '../systems/ForceField'
+import { QUALITY_TIERS } from '../systems/QualityController'
+import { getShape, getShapes, setShapeColor, setShapePalette } from './shapeRegistry'
+import { createPalette, PALETTE_METRICS, paletteToDefinition } from './palettes'
+import { GESTURE_SETTINGS } from './gestureDetection'
+import { MOTION_SETTINGS } from './motionGestures'
+import { SMOOTHING_SETTINGS } from './gestureSmoothing'
+import { getBindings, setBindings, validateBindings } from './gestureBindings'
+
+/**
+ * Presets
+ * One versioned JSON document for the tunable look and feel: particle count
+ * and size, shape colours, hand interaction, forces, drone pitch, pose
+ * and motion gesture thresholds, tracking smoothing and the gesture binding
+ * table. Presets may
+ * be partial; missing fields keep their current value. Shared as a file or
+ * in the URL hash (#preset=...).
+ */
+
+export const PRESET_VERSION = 4
+
+// Upgrade steps, keyed by the version they upgrade from
+const MIGRATIONS = {
+    // Presets written before versioning: same layout, no version field
+    0: (preset) => ({ ...preset, version: 1 }),
+    // The angle-based classifier replaced the fingertip distance ratio
+    1: (preset) => {
+        const migrated = { ...preset, version: 2 }
+        if (isObject(preset.gestures)) {
+            migrated.gestures = { ...preset.gestures }
+            delete migrated.gestures.extensionRatio
+        }
+        return migrated
+    },
+    // Gesture smoothing replaced the consecutive-frame count
+    2: (preset) => {
+        const migrated = { ...preset, version: 3 }
+        if (isObject(preset.gestures)) {
+            migrated.gestures = { ...preset.gestures }
+            delete migrated.gestures.confirmFrames
+        }
+        return migrated
+    },
+    // Pinch is measured in palm lengths instead of image units
+    3: (preset) => {
+        const migrated = { ...preset, version: 4 }
+        if (isObject(preset.gestures)) {
+            migrated.gestures = { ...preset.gestures }
+            delete migrated.gestures.pinchThreshold
+        }
+        return migrated
+    }
+}
+
+const HASH_KEY = 'preset'
+
+// Cycled through by the NEXT_PRESET gesture action; partial, so they only change the look
+export const BUILT_IN_PRESETS = [
+    {
+        name: 'EMBER',
+        preset: {
+            version: PRESET_VERSION,
+            particles: { pointSize: 130 },
+            colors: { SPHERE: { palette: { stops: ['#ff2200', '#ffaa00', '#ffee88'] } } },
+            audio: { baseFreq: 55 }
+        }
+    },
+    {
+        name: 'GLACIER',
+        preset: {
+            version: PRESET_VERSION,
+            particles: { pointSize: 80 },
+            colors: { SPHERE: { palette: { stops: ['#002244', '#00aaff', '#ffffff'] } } },
+            audio: { baseFreq: 82.41 }
+        }
+    },
+    {
+        name: 'STORM',
+        preset: {
+            version: PRESET_VERSION,
+            interaction: { repelStrength: 6000, attractJitter: 400 },
+            colors: { SPHERE: { palette: { stops: ['#220044', '#aa00ff', '#00ffcc'] } } },
+            audio: { baseFreq: 73.42 }
+        }
+    }
+]
+
+// --- VALIDATION ---
+// Each check returns an error message, or null when the value is fine
+
+const number = (min, max) => (v) =>
+    typeof v === 'number' && Number.isFinite(v) && v >= min && v <= max
+        ? null
+        : `must be a number from ${min} to ${max}`
+
+const integer = (min, max) => (v) =>
+    Number.isInteger(v) && v >= min && v <= max ? null : `must be an integer from ${min} to ${max}`
+
+const oneOf = (values) => (v) => values.includes(v) ? null : `must be one of ${values.join(', ')}`
+
+const nullable = (check) => (v) => v === null ? null : check(v)
+
+const boolean = (v) => typeof v === 'boolean' ? null : 'must be true or false'
+
+const vector3 = (v) =>
+    Array.isArray(v) && v.length === 3 && v.every(n => typeof n === 'number' && Number.isFinite(n))
+        ? null
+        : 'must be an array of 3 numbers'
+
+const direction = (v) => vector3(v) ?? (v.every(n => n === 0) ? 'must not be all zero' : null)
+
+const interval = (v) =>
+    Array.isArray(v) && v.length === 2 && v.every(n => typeof n === 'number' && Number.isFinite(n)) && v[0] < v[1]
+        ? null
+        : 'must be [min, max] with min below max'
+
+const hexColor = (v) => typeof v === 'string' && /^#[0-9a-f]{6}$/i.test(v) ? null : 'must be a #rrggbb colour'
+
+const SECTIONS = {
+    particles: {
+        quality: oneOf(Object.keys(QUALITY_TIERS)),
+        count: nullable(integer(1024, 1024 * 1024)), // Overrides quality; rounded to a square
+        pointSize: number(1, 1000)
+    },
+    interaction: {
+        radius: number(0, 1000),
+        repelStrength: number(0, 100000),
+        attractStrength: number(0, 10000),
+        attractJitter: number(0, 10000)
+    },
+    audio: {
+        baseFreq: number(20, 2000)
+    },
+    gestures: {
+        minConfidence: number(0, 1),
+        pinchClosed: number(0, 2),
+        pinchOpen: number(0.01, 3),
+        pinchOn: number(0, 1),
+        pinchOff: number(0, 1),
+        claspDistance: number(0.1, 5)
+    },
+    smoothing: {
+        minCutoff: number(0.01, 30),
+        beta: number(0, 1000),
+        dCutoff: number(0.01, 30),
+        window: integer(1, 60),
+        enter: number(0, 1),
+        exit: number(0, 1)
+    },
+    motion: {
+        swipeDistance: number(0.01, 2),
+        swipeSpeed: number(0.01, 20),
+        circleRadius: number(0.01, 1),
+        circleTurns: number(0.1, 3),
+        waveAmplitude: number(0.01, 1),
+        waveReversals: integer(1, 10),
+        pushGrowth: number(0.01, 3),
+        cooldown: number(0, 10)
+    }
+}
+
+// Settings that must stay in order: `low` below `high`, or at most `high`
+// when `equal` is allowed. Partial sections are checked merged into the live
+// settings they will be applied to.
+const ORDERED = {
+    gestures: {
+        live: GESTURE_SETTINGS,
+        pairs: [
+            { low: 'pinchClosed', high: 'pinchOpen' }, // Else pinch strength runs backwards (see measurePinch)
+            { low: 'pinchOff', high: 'pinchOn' }       // Else there is no hysteresis and pinches flicker
+        ]
+    },
+    smoothing: {
+        live: SMOOTHING_SETTINGS,
+        pairs: [{ low: 'exit', high: 'enter', equal: true }] // Else a label could be dropped as it is committed
+    }
+}
+
+// Stops are checked one by one, see checkPalette
+const PALETTE_FIELDS = {
+    stops: () => null,
+    by: oneOf(PALETTE_METRICS),
+    axis: direction,
+    range: nullable(interval)
+}
+
+const FORCE_FIELDS = {
+    type: oneOf(Object.keys(FORCE_TYPES)),
+    position: vector3,
+    direction: vector3,
+    strength: number(-100000, 100000),
+    radius: number(0, 10000),
+    falloff: oneOf(Object.keys(FALLOFFS)),
+    jitter: number(0, 10000),
+    frequency: number(0, 10),
+    enabled: boolean
+}
+
+const isObject = (v) => typeof v === 'object' && v !== null && !Array.isArray(v)
+
+const checkFields = (value, fields, path, errors) => {
+    if (!isObject(value)) {
+        errors.push(`${path} must be an object`)
+        return
+    }
+    Object.entries(value).forEach(([key, v]) => {
+        const check = fields[key]
+        const error = check ? check(v) : 'is not a known setting'
+        if (error) errors.push(`${path}.${key} ${error}`)
+    })
+}
+
+const checkOrder = (value, key, errors) => {
+    if (!ORDERED[key] || !isObject(value)) return
+    const { live, pairs } = ORDERED[key]
+    const merged = { ...live, ...value }
+    pairs.forEach(({ low, high, equal = false }) => {
+        if (value[low] === undefined && value[high] === undefined) return
+        const a = merged[low]
+        const b = merged[high]
+        if (typeof a !== 'number' || typeof b !== 'number') return // Reported by checkFields
+        if (equal ? a > b : a >= b) {
+            errors.push(`${key}.${low} must be ${equal ? 'at most' : 'below'} ${key}.${high} (${a} vs ${b})`)
+        }
+    })
+}
+
+const checkPalette = (palette, path, errors) => {
+    if (palette === null) return
+    if (!isObject(palette) || !Array.isArray(palette.stops) || palette.stops.length === 0) {
+        errors.push(`${path} must be null or a palette with at least one stop`)
+        return
+    }
+    const before = errors.length
+    checkFields(palette, PALETTE_FIELDS, path, errors)
+    palette.stops.forEach((stop, i) => {
+        const color = isObject(stop) ? stop.color : stop
+        if (hexColor(color)) errors.push(`${path}.stops[${i}] ${hexColor(color)}`)
+        if (isObject(stop) && stop.at !== undefined && number(0, 1)(stop.at)) {
+            errors.push(`${path}.stops[${i}].at ${number(0, 1)(stop.at)}`)
+        }
+    })
+    if (errors.length > before) return
+    try {
+        createPalette(palette) // Anything the checks above missed
+    } catch (err) {
+        errors.push(`${path}: ${err.message}`)
+    }
+}
+
+/**
+ * Throw listing every problem; returns the preset when it is valid.
+ * @param {object} preset - Current version
+ */
+export const validatePreset = (preset) => {
+    const errors = []
+    if (!isObject(preset)) throw new Error('Invalid preset: must be a JSON object')
+
+    Object.entries(preset).forEach(([key, value]) => {
+        if (key === 'version') {
+            if (value !== PRESET_VERSION) errors.push(`version must be ${PRESET_VERSION}`)
+        } else if (SECTIONS[key]) {
+            checkFields(value, SECTIONS[key], key, errors)
+            checkOrder(value, key, errors)
+        } else if (key === 'colors') {
+            if (!isObject(value)) {
+                errors.push('colors must be an object of shape name -> { color, palette }')
+                return
+            }
+            Object.entries(value).forEach(([name, entry]) => {
+                checkFields(entry, { color: hexColor, palette: () => null }, `colors.${name}`, errors)
+                if (isObject(entry) && entry.palette !== undefined) {
+                    checkPalette(entry.palette, `colors.${name}.palette`, errors)
+                }
+            })
+        } else if (key === 'bindings') {
+            try {
+                validateBindings(value)
+            } catch (err) {
+                errors.push(err.message.replace(/^Invalid bindings:\n- /, '').replace(/\n- /g, '; '))
+            }
+        } else if (key === 'forces') {
+            if (!Array.isArray(value) || value.length > MAX_FORCES) {
+                errors.push(`forces must be an array of at most ${MAX_FORCES} forces`)
+                return
+            }
+            value.forEach((force, i) => {
+                checkFields(force, FORCE_FIELDS, `forces[${i}]`, errors)
+                if (isObject(force) && force.type === undefined) errors.push(`forces[${i}].type is required`)
+            })
+        } else {
+            errors.push(`${key} is not a known section`)
+        }
+    })
+
+    if (errors.length > 0) throw new Error(`Invalid preset:\n- ${errors.join('\n- ')}`)
+    return preset
+}
+
+/**
+ * Bring an older preset up to PRESET_VERSION.
+ */
+export const migratePreset = (preset) => {
+    if (!isObject(preset)) throw new Error('Invalid preset: must be a JSON object')
+
+    let migrated = preset
+    let version = migrated.version ?? 0
+    if (!Number.isInteger(version) || version < 0) throw new Error(`Invalid preset version "${version}"`)
+    if (version > PRESET_VERSION) {
+        throw new Error(`Preset version ${version} is newer than supported (${PRESET_VERSION})`)
+    }
+
+    while (version < PRESET_VERSION) {
+        migrated = MIGRATIONS[version](migrated)
+        version = migrated.version
+    }
+    return migrated
+}
+
+/**
+ * Parse, migrate and validate.
+ * @param {string|object} input - JSON text or an already parsed object
+ */
+export const parsePreset = (input) => {
+    let preset = input
+    if (typeof input === 'string') {
+        try {
+            preset = JSON.parse(input)
+        } catch (err) {
+            throw new Error(`Invalid preset: not JSON (${err.message})`)
+        }
+    }
+    return validatePreset(migratePreset(preset))
+}
+
+// --- ENCODING ---
+
+/**
+ * URL-safe base64 of the preset JSON.
+ */
+export const encodePreset = (preset) => {
+    const bytes = new TextEncoder().encode(JSON.stringify(preset))
+    let binary = ''
+    bytes.forEach(b => { binary += String.fromCharCode(b) })
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '')
+}
+
+export const decodePreset = (encoded) => {
+    let binary
+    try {
+        binary = atob(encoded.replace(/-/g, '+').replace(/_/g, '/'))
+    } catch {
+        throw new Error('Invalid preset: bad encoding')
+    }
+    const bytes = Uint8Array.from(binary, c => c.charCodeAt(0))
+    return parsePreset(new TextDecoder().decode(bytes))
+}
+
+/**
+ * Hash fragment for a preset, e.g. '#preset=eyJ2...'.
+ */
+export const presetToHash = (preset) => `#${HASH_KEY}=${encodePreset(preset)}`
+
+/**
+ * @param {string} hash - window.location.hash
+ * @returns {object|null} The preset, or null when the hash has none
+ */
+export const presetFromHash = (hash) => {
+    const value = new URLSearchParams(hash.replace(/^#/, '')).get(HASH_KEY)
+    return value ? decodePreset(value) : null
+}
+
+// --- CAPTURE / APPLY ---
+
+const toArray = (v) => [v.x, v.y, v.z]
+
+/**
+ * Snapshot of the current settings.
+ * @param {object} systems
+ * @param {import('../systems/ParticleSystem').ParticleSystem} systems.particleSystem
+ * @param {import('../systems/QualityController').QualityController} systems.quality
+ * @param {import('../systems/AudioSystem').AudioSystem} systems.audio
+ */
+export const capturePreset = ({ particleSystem, quality, audio }) => {
+    const custom = quality.tier === 'custom'
+    const { radius, repelStrength, attractStrength, attractJitter } = particleSystem.interaction
+
+    return {
+        version: PRESET_VERSION,
+        particles: {
+            quality: custom ? 'auto' : quality.tier,
+            count: custom ? particleSystem.count : null,
+            pointSize: particleSystem.pointSize
+        },
+        colors: Object.fromEntries(getShapes().map(shape => [shape.name, {
+            color: `#${shape.color.getHexString()}`,
+            palette: shape.palette ? paletteToDefinition(shape.palette) : null
+        }])),
+        interaction: { radius, repelStrength, attractStrength, attractJitter },
+        forces: particleSystem.getForces().map(f => ({
+            type: f.type,
+            position: toArray(f.position),
+            direction: toArray(f.direction),
+            strength: f.strength,
+            radius: f.radius,
+            falloff: f.falloff,
+            jitter: f.jitter,
+            frequency: f.frequency,
+            enabled: f.enabled
+        })),
+        audio: { baseFreq: audio.baseFreq },
+        gestures: { ...GESTURE_SETTINGS },
+        motion: { ...MOTION_SETTINGS },
+        smoothing: { ...SMOOTHING_SETTINGS },
+        bindings: getBindings().map(b => ({ ...b }))
+    }
+}
+
+/**
+ * Apply a validated preset. Colours for shapes that are not registered here
+ * (e.g. a dropped model on another machine) are skipped.
+ * @param {object} preset - Output of parsePreset / decodePreset
+ * @param {object} systems - See capturePreset
+ */
+export const applyPreset = (preset, { particleSystem, quality, audio }) => {
+    const { particles, colors, interaction, forces, gestures, motion, smoothing, bindings } = preset
+
+    if (particles) {
+        if (particles.count) quality.setSize(Math.round(Math.sqrt(particles.count)))
+        else if (particles.quality) quality.setTier(particles.quality)
+        if (particles.pointSize !== undefined) particleSystem.setPointSize(particles.pointSize)
+    }
+
+    if (colors) {
+        Object.entries(colors).forEach(([name, { color, palette }]) => {
+            if (!getShape(name)) return
+            if (color !== undefined) setShapeColor(name, color)
+            if (palette !== undefined) setShapePalette(name, palette)
+        })
+        particleSystem.recolor()
+    }
+
+    if (interaction) Object.assign(particleSystem.interaction, interaction)
+
+    if (forces) {
+        particleSystem.clearForces()
+        forces.forEach(force => particleSystem.addForce(force))
+    }
+
+    if (preset.audio && preset.audio.baseFreq !== undefined) audio.setBaseFrequency(preset.audio.baseFreq)
+    if (gestures) Object.assign(GESTURE_SETTINGS, gestures)
+    if (motion) Object.assign(MOTION_SETTINGS, motion)
+    if (smoothing) Object.assign(SMOOTHING_SETTINGS, smoothing)
+    if (bindings) setBindings(bindings)
+}
@@ -0,0 +1,138 @@
+import { describe, it, expect } from 'vitest'
+import {
+    BUILT_IN_PRESETS,
+    decodePreset,
+    encodePreset,
+    migratePreset,
+    parsePreset,
+    presetFromHash,
+    presetToHash,
+    PRESET_VERSION
+} from './presets'
+import { GESTURE_SETTINGS } from './gestureDetection'
+import { SMOOTHING_SETTINGS } from './gestureSmoothing'
+
+describe('BUILT_IN_PRESETS', () => {
+    it.each(BUILT_IN_PRESETS.map(p => [p.name, p.preset]))('%s is valid', (name, preset) => {
+        expect(() => parsePreset(preset)).not.toThrow()
+    })
+
+    it('keeps point sizes on the particle system scale', () => {
+        // ParticleSystem.pointSize is 100 by default
+        BUILT_IN_PRESETS.forEach(({ preset }) => {
+            if (!preset.particles || preset.particles.pointSize === undefined) return
+            expect(preset.particles.pointSize).toBeGreaterThanOrEqual(50)
+            expect(preset.particles.pointSize).toBeLessThanOrEqual(200)
+        })
+    })
+})
+
+describe('parsePreset', () => {
+    const preset = (sections) => ({ version: PRESET_VERSION, ...sections })
+
+    it('keeps the pinch distances and thresholds in order', () => {
+        expect(() => parsePreset(preset({ gestures: { pinchClosed: 0.2, pinchOpen: 0.9, pinchOff: 0.3, pinchOn: 0.6 } })))
+            .not.toThrow()
+        expect(() => parsePreset(preset({ gestures: { pinchClosed: 0.8, pinchOpen: 0.8 } })))
+            .toThrow('gestures.pinchClosed must be below gestures.pinchOpen')
+        expect(() => parsePreset(preset({ gestures: { pinchOff: 0.7, pinchOn: 0.5 } })))
+            .toThrow('gestures.pinchOff must be below gestures.pinchOn')
+    })
+
+    it('checks a partial gestures section against the current settings', () => {
+        expect(() => parsePreset(preset({ gestures: { pinchOpen: GESTURE_SETTINGS.pinchClosed } })))
+            .toThrow('gestures.pinchClosed must be below gestures.pinchOpen')
+        expect(() => parsePreset(preset({ gestures: { pinchOff: GESTURE_SETTINGS.pinchOn } })))
+            .toThrow('gestures.pinchOff must be below gestures.pinchOn')
+        expect(() => parsePreset(preset({ gestures: { minConfidence: 0.5 } }))).not.toThrow()
+    })
+
+    it('lists every ordering problem', () => {
+        const input = preset({ gestures: { pinchClosed: 1, pinchOpen: 0.5, pinchOff: 0.9, pinchOn: 0.1 } })
+        expect(() => parsePreset(input)).toThrow(/pinchClosed must be below[^]*pinchOff must be below/)
+    })
+
+    it('keeps the smoothing exit share at most the enter share', () => {
+        expect(() => parsePreset(preset({ smoothing: { enter: 0.5, exit: 0.5 } }))).not.toThrow()
+        expect(() => parsePreset(preset({ smoothing: { enter: 0.4, exit: 0.6 } })))
+            .toThrow('smoothing.exit must be at most smoothing.enter')
+    })
+
+    it('checks a partial smoothing section against the current settings', () => {
+        expect(() => parsePreset(preset({ smoothing: { exit: SMOOTHING_SETTINGS.enter + 0.1 } })))
+            .toThrow('smoothing.exit must be at most smoothing.enter')
+        expect(() => parsePreset(preset({ smoothing: { window: 5 } }))).not.toThrow()
+    })
+})
+
+describe('encodePreset', () => {
+    const preset = {
+        version: PRESET_VERSION,
+        particles: { quality: 'high', pointSize: 120 },
+        colors: {
+            SATURN: { color: '#ffcc88', palette: { stops: ['#ff0000', { at: 0.7, color: '#00ffee' }], by: 'axis', axis: [1, 0, 0], range: [-2, 2] } }
+        },
+        smoothing: { enter: 0.6, exit: 0.3 },
+        bindings: [{ gesture: 'FRAME', action: 'SET_SHAPE', shape: 'ÉTOILE ✦' }]
+    }
+
+    it('round-trips through decodePreset', () => {
+        const encoded = encodePreset(preset)
+        expect(encoded).toMatch(/^[A-Za-z0-9_-]+$/) // URL-safe, unpadded
+        expect(decodePreset(encoded)).toEqual(preset)
+    })
+
+    it('round-trips through the URL hash', () => {
+        expect(presetFromHash(presetToHash(preset))).toEqual(preset)
+        expect(presetFromHash('#other=1')).toBeNull()
+    })
+
+    it('rejects what is not a preset', () => {
+        expect(() => decodePreset('%%%')).toThrow('Invalid preset: bad encoding')
+        expect(() => decodePreset(encodePreset({ version: PRESET_VERSION, nope: 1 }))).toThrow('nope is not a known section')
+    })
+})
+
+describe('migratePreset', () => {
+    it('brings an unversioned preset up to PRESET_VERSION', () => {
+        const old = {
+            particles: { pointSize: 90 },
+            gestures: { minConfidence: 0.7, extensionRatio: 1.4, confirmFrames: 3, pinchThreshold: 0.05 }
+        }
+        const migrated = migratePreset(old)
+        expect(migrated).toEqual({ version: PRESET_VERSION, particles: { pointSize: 90 }, gestures: { minConfidence: 0.7 } })
+        expect(old.gestures.extensionRatio).toBe(1.4) // Not changed in place
+        expect(parsePreset(old)).toEqual(migrated)
+    })
+
+    it('refuses versions it does not know', () => {
+        expect(() => migratePreset({ version: PRESET_VERSION + 1 })).toThrow('newer than supported')
+        expect(() => migratePreset({ version: -1 })).toThrow('Invalid preset version')
+    })
+})
+
+describe('palettes', () => {
+    const withPalette = (palette) => ({ version: PRESET_VERSION, colors: { SPHERE: { palette } } })
+    const path = 'colors.SPHERE.palette'
+
+    it('accepts complete and minimal palettes', () => {
+        expect(() => parsePreset(withPalette({ stops: ['#000000'] }))).not.toThrow()
+        expect(() => parsePreset(withPalette({ stops: ['#000000', '#ffffff'], by: 'height', range: null }))).not.toThrow()
+        expect(() => parsePreset(withPalette(null))).not.toThrow()
+    })
+
+    it.each([
+        [{ stops: ['#000000'], range: [0] }, `${path}.range must be [min, max] with min below max`],
+        [{ stops: ['#000000'], range: 'x' }, `${path}.range must be [min, max] with min below max`],
+        [{ stops: ['#000000'], range: [2, 1] }, `${path}.range must be [min, max] with min below max`],
+        [{ stops: ['#000000'], range: [0, Infinity] }, `${path}.range must be [min, max] with min below max`],
+        [{ stops: ['#000000'], by: 'axis', axis: [1] }, `${path}.axis must be an array of 3 numbers`],
+        [{ stops: ['#000000'], by: 'axis', axis: [0, 0, 0] }, `${path}.axis must not be all zero`],
+        [{ stops: ['#000000'], by: 'depth' }, `${path}.by must be one of`],
+        [{ stops: ['#000000'], hue: 10 }, `${path}.hue is not a known setting`],
+        [{ stops: ['red'] }, `${path}.stops[0] must be a #rrggbb colour`],
+        [{ stops: [] }, `${path} must be null or a palette with at least one stop`]
+    ])('rejects %j', (palette, message) => {
+        expect(() => parsePreset(withPalette(palette))).toThrow(message)
+    })
+})
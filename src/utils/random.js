@@ -0,0 +1,56 @@
+/**
+ * Seeded Randomness
+ * One shared source for generators, samplers and simulation setup. It is
+ * Math.random until seeded; after seedRandom(seed), the same seed and the
+ * same sequence of calls give the same numbers on every run. Nothing else
+ * may draw from it: audio, say, starts on the user's first click, and a
+ * draw at that moment would shift every shape generated afterwards.
+ */
+
+/**
+ * mulberry32: small, fast 32-bit PRNG; plenty for sampling and jitter.
+ * @param {number} seed - 32-bit integer
+ * @returns {() => number} Uniform in [0, 1)
+ */
+export const createRandom = (seed) => {
+    let state = seed >>> 0
+    return () => {
+        state = (state + 0x6D2B79F5) | 0
+        let t = Math.imul(state ^ (state >>> 15), 1 | state)
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296
+    }
+}
+
+/**
+ * Numbers (and numeric strings, e.g. from a URL) pass through; other
+ * strings hash to a 32-bit integer (FNV-1a).
+ * @param {number|string} seed
+ */
+export const hashSeed = (seed) => {
+    if (typeof seed === 'number') return seed >>> 0
+    if (/^\d+$/.test(seed)) return Number(seed) >>> 0
+    let hash = 0x811c9dc5
+    for (let i = 0; i < seed.length; i++) {
+        hash = Math.imul(hash ^ seed.charCodeAt(i), 0x01000193)
+    }
+    return hash >>> 0
+}
+
+let source = Math.random
+let currentSeed = null
+
+/**
+ * Next number from the shared source, uniform in [0, 1).
+ */
+export const random = () => source()
+
+/**
+ * @param {number|string|null} seed - null goes back to Math.random
+ */
+export const seedRandom = (seed) => {
+    currentSeed = seed === null || seed === undefined ? null : hashSeed(seed)
+    source = currentSeed === null ? Math.random : createRandom(currentSeed)
+}
+
+export const getSeed = () => currentSeed
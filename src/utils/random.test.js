@@ -0,0 +1,56 @@
+import { afterEach, describe, it, expect } from 'vitest'
+import { createRandom, getSeed, hashSeed, random, seedRandom } from './random'
+import { generateShape } from './shapeRegistry'
+
+afterEach(() => seedRandom(null))
+
+// Built-in shapes that sample at random (SPHERE and DOUBLE_HELIX do not)
+const SHAPES = ['CUBE', 'HEART', 'FLOWER', 'SATURN', 'FIREWORKS']
+const COUNT = 1024
+
+// Every shape in turn, as a session would generate them
+const generateAll = (seed) => {
+    seedRandom(seed)
+    return SHAPES.map(name => generateShape(name, COUNT).positions)
+}
+
+describe('seedRandom', () => {
+    it('reproduces generator output for the same seed', () => {
+        const first = generateAll('aurora')
+        const second = generateAll('aurora')
+        SHAPES.forEach((name, i) => expect(second[i], name).toEqual(first[i]))
+    })
+
+    it('gives other positions for another seed', () => {
+        const first = generateAll('aurora')
+        const other = generateAll('borealis')
+        SHAPES.forEach((name, i) => expect(other[i], name).not.toEqual(first[i]))
+    })
+
+    it('goes back to Math.random with null', () => {
+        seedRandom(7)
+        expect(getSeed()).toBe(7)
+        seedRandom(null)
+        expect(getSeed()).toBeNull()
+        expect(random()).not.toBe(random())
+    })
+})
+
+describe('createRandom', () => {
+    it('repeats its sequence and stays in [0, 1)', () => {
+        const a = createRandom(123)
+        const b = createRandom(123)
+        const values = Array.from({ length: 1000 }, () => a())
+        expect(Array.from({ length: 1000 }, () => b())).toEqual(values)
+        expect(values.every(v => v >= 0 && v < 1)).toBe(true)
+    })
+})
+
+describe('hashSeed', () => {
+    it('passes numbers through and hashes words', () => {
+        expect(hashSeed(42)).toBe(42)
+        expect(hashSeed('42')).toBe(42)
+        expect(hashSeed('aurora')).toBe(hashSeed('aurora'))
+        expect(hashSeed('aurora')).not.toBe(hashSeed('borealis'))
+    })
+})
@@ -0,0 +1,170 @@
+import * as THREE from 'three'
+import { generateSphere } from './shapeGenerators'
+import { random } from './random'
+
+/**
+ * Raster Shape Generators
+ * Draw onto an offscreen canvas and turn the filled pixels into particle
+ * targets. Output uses the same unit-space layout as shapeGenerators.
+ */
+
+const createCanvas = (width, height) => {
+    if (typeof OffscreenCanvas !== 'undefined') return new OffscreenCanvas(width, height)
+    const canvas = document.createElement('canvas')
+    canvas.width = width
+    canvas.height = height
+    return canvas
+}
+
+/**
+ * Pick count pixels with probability proportional to weight, centred and
+ * scaled so the longest side of the canvas spans -1..1.
+ * @param {ImageData} image
+ * @param {number} count - Number of particles
+ * @param {number} depth - Random z thickness
+ * @param {(data: Uint8ClampedArray, offset: number) => number} weight - 0 skips the pixel
+ * @returns {{ positions: Float32Array, pixels: Uint32Array|null }} pixels holds the source pixel per particle
+ */
+const samplePixels = (image, count, depth, weight) => {
+    const { width, height, data } = image
+
+    // Cumulative weights for inverse-CDF sampling
+    const filled = []
+    const cumulative = []
+    let total = 0
+    for (let p = 0; p < width * height; p++) {
+        const w = weight(data, p * 4)
+        if (w <= 0) continue
+        total += w
+        filled.push(p)
+        cumulative.push(total)
+    }
+
+    if (filled.length === 0) return { positions: generateSphere(count), pixels: null }
+
+    const positions = new Float32Array(count * 3)
+    const pixels = new Uint32Array(count)
+    const halfExtent = Math.max(width, height) / 2
+
+    for (let i = 0; i < count; i++) {
+        const i3 = i * 3
+
+        // Binary search the first cumulative weight above r
+        const r = random() * total
+        let lo = 0
+        let hi = cumulative.length - 1
+        while (lo < hi) {
+            const mid = (lo + hi) >> 1
+            if (cumulative[mid] > r) hi = mid
+            else lo = mid + 1
+        }
+
+        const p = filled[lo]
+        const x = (p % width) + random() // Jitter within the pixel
+        const y = Math.floor(p / width) + random()
+
+        positions[i3] = (x - width / 2) / halfExtent
+        positions[i3 + 1] = -(y - height / 2) / halfExtent
+        positions[i3 + 2] = (random() - 0.5) * depth
+        pixels[i] = p
+    }
+
+    return { positions, pixels }
+}
+
+/**
+ * Generate particles spelling a (multi-line) string
+ * @param {number} count - Number of particles
+ * @param {object} options
+ * @param {string} options.text - Lines separated by "\n"
+ * @param {string} options.fontFamily - CSS font family
+ * @param {string|number} options.fontWeight - CSS font weight
+ * @param {number} options.depth - Random z thickness
+ */
+export const generateText = (count, {
+    text = 'HELLO',
+    fontFamily = 'sans-serif',
+    fontWeight = 'bold',
+    depth = 0.1
+} = {}) => {
+    const fontSize = 120
+    const lineHeight = fontSize * 1.1
+    const padding = fontSize * 0.2
+    const font = `${fontWeight} ${fontSize}px ${fontFamily}`
+    const lines = String(text).split('\n')
+
+    // Measure, then size the canvas to fit (resizing resets the context)
+    const measure = createCanvas(1, 1).getContext('2d')
+    measure.font = font
+    const textWidth = Math.max(1, ...lines.map(line => measure.measureText(line).width))
+
+    const width = Math.ceil(textWidth + padding * 2)
+    const height = Math.ceil(lines.length * lineHeight + padding * 2)
+    const ctx = createCanvas(width, height).getContext('2d')
+
+    ctx.font = font
+    ctx.fillStyle = '#fff'
+    ctx.textAlign = 'center'
+    ctx.textBaseline = 'middle'
+    lines.forEach((line, i) => {
+        ctx.fillText(line, width / 2, padding + lineHeight * (i + 0.5))
+    })
+
+    const image = ctx.getImageData(0, 0, width, height)
+    return samplePixels(image, count, depth, (data, o) => (data[o + 3] > 128 ? 1 : 0)).positions
+}
+
+/**
+ * Generate particles from an image, coloured by the pixel they came from.
+ * Bright, opaque pixels attract more particles; dark or transparent ones fade out.
+ * @param {number} count - Number of particles
+ * @param {object} options
+ * @param {CanvasImageSource} options.image - Decoded image (ImageBitmap, <img>, canvas)
+ * @param {number} options.resolution - Longest side of the sampling grid
+ * @param {number} options.depth - Random z thickness
+ * @param {number} options.threshold - Minimum luminance x alpha to emit particles
+ */
+export const generateImage = (count, {
+    image,
+    resolution = 256,
+    depth = 0.05,
+    threshold = 0.02
+} = {}) => {
+    if (!image) return generateSphere(count)
+
+    const fit = resolution / Math.max(image.width, image.height)
+    const width = Math.max(1, Math.round(image.width * fit))
+    const height = Math.max(1, Math.round(image.height * fit))
+    const ctx = createCanvas(width, height).getContext('2d')
+    ctx.drawImage(image, 0, 0, width, height)
+    const imageData = ctx.getImageData(0, 0, width, height)
+
+    // Rec. 709 luma, weighted by alpha
+    const weight = (data, o) => {
+        const luminance = (0.2126 * data[o] + 0.7152 * data[o + 1] + 0.0722 * data[o + 2]) / 255
+        const w = luminance * data[o + 3] / 255
+        return w >= threshold ? w : 0
+    }
+
+    const { positions, pixels } = samplePixels(imageData, count, depth, weight)
+    if (!pixels) return positions
+
+    // Canvas pixels are sRGB; particles work in linear colour like THREE.Color
+    const colors = new Float32Array(count * 3)
+    const color = new THREE.Color()
+    for (let i = 0; i < count; i++) {
+        const o = pixels[i] * 4
+        const alpha = imageData.data[o + 3] / 255
+        color.setRGB(
+            imageData.data[o] / 255,
+            imageData.data[o + 1] / 255,
+            imageData.data[o + 2] / 255,
+            THREE.SRGBColorSpace
+        )
+        colors[i * 3] = color.r * alpha
+        colors[i * 3 + 1] = color.g * alpha
+        colors[i * 3 + 2] = color.b * alpha
+    }
+
+    return { positions, colors }
+}
@@ -1,6 +1,10 @@
+import { random } from './random'
+
 /**
  * Parametric Shape Generators
- * Pre-calculate target positions for particle morphing
+ * Pre-calculate target positions for particle morphing.
+ * All generators work in unit space (roughly radius 1); the shape registry
+ * scales them to scene units.
  */
 
 /**
@@ -8,7 +12,7 @@
  * @param {number} count - Number of particles
  * @param {number} radius - Sphere radius
  */
-export const generateSphere = (count, radius = 2) => {
+export const generateSphere = (count, radius = 1) => {
     const positions = new Float32Array(count * 3)
 
     for (let i = 0; i < count; i++) {
@@ -27,31 +31,99 @@ export const generateSphere = (count, radius = 2) => {
 }
 
 /**
- * Generate 3D Heart shape using parametric equations
+ * Generate Heart outline using parametric equations
  * Formula: x = 16sin³(t), y = 13cos(t) - 5cos(2t) - 2cos(3t) - cos(4t)
  * @param {number} count - Number of particles
- * @param {number} scale - Heart scale factor
+ * @param {number} depth - Random z thickness
  */
-export const generateHeart = (count, scale = 0.15) => {
+export const generateHeart = (count, depth = 0.18) => {
     const positions = new Float32Array(count * 3)
 
     for (let i = 0; i < count; i++) {
         const i3 = i * 3
+        const t = (i / count) * Math.PI * 2 * 100 // Wrap around multiple times
 
-        // Distribute particles across the heart surface
-        const t = (i / count) * Math.PI * 2
-        const layer = Math.floor(i / (count / 10)) // Create depth layers
-
-        // Parametric heart equations
         const x = 16 * Math.pow(Math.sin(t), 3)
         const y = 13 * Math.cos(t) - 5 * Math.cos(2 * t) - 2 * Math.cos(3 * t) - Math.cos(4 * t)
 
-        // Add depth variation for 3D effect
-        const z = Math.sin(t * 3) * 5 + (layer - 5) * 2
+        positions[i3] = x / 16
+        positions[i3 + 1] = y / 16
+        positions[i3 + 2] = (random() - 0.5) * depth
+    }
+
+    return positions
+}
+
+/**
+ * Generate Flower (rose curve swept over a sphere)
+ * @param {number} count - Number of particles
+ * @param {number} petals - Rose curve frequency
+ * @param {number} depth - Random z thickness
+ */
+export const generateFlower = (count, petals = 5, depth = 0.83) => {
+    const positions = new Float32Array(count * 3)
+
+    for (let i = 0; i < count; i++) {
+        const i3 = i * 3
+        const u = random() * Math.PI * 2
+        const v = random() * Math.PI
+        const r = Math.sin(petals * u)
+
+        positions[i3] = r * Math.cos(u) * Math.sin(v)
+        positions[i3 + 1] = r * Math.sin(u) * Math.sin(v)
+        positions[i3 + 2] = (random() - 0.5) * depth
+    }
+
+    return positions
+}
+
+/**
+ * Generate Saturn: 70% planet, 30% tilted ring
+ * @param {number} count - Number of particles
+ * @param {number} ringMin - Inner ring radius (planet radius is 1)
+ * @param {number} ringMax - Outer ring radius
+ */
+export const generateSaturn = (count, ringMin = 1.5, ringMax = 2.25) => {
+    const positions = new Float32Array(count * 3)
+    const sphereCount = Math.floor(count * 0.7)
+    const ringCount = count - sphereCount
+
+    positions.set(generateSphere(sphereCount, 1))
+
+    const tilt = Math.PI * 0.2
+    for (let i = 0; i < ringCount; i++) {
+        const i3 = (sphereCount + i) * 3
+        const angle = random() * Math.PI * 2
+        const r = ringMin + random() * (ringMax - ringMin)
+
+        const x = r * Math.cos(angle)
+        const y = r * Math.sin(angle) * 0.1 // Flattened
+
+        positions[i3] = x
+        positions[i3 + 1] = y * Math.cos(tilt) - x * Math.sin(tilt) // Tilt the ring
+        positions[i3 + 2] = (random() - 0.5) * 0.05 // Thin layer
+    }
+
+    return positions
+}
+
+/**
+ * Generate a random filled ball (FIREWORKS)
+ * @param {number} count - Number of particles
+ * @param {number} radius - Maximum distance from the centre
+ */
+export const generateBurst = (count, radius = 1) => {
+    const positions = new Float32Array(count * 3)
+
+    for (let i = 0; i < count; i++) {
+        const i3 = i * 3
+        const theta = random() * Math.PI * 2
+        const phi = Math.acos((random() * 2) - 1)
+        const r = random() * radius
 
-        positions[i3] = x * scale
-        positions[i3 + 1] = y * scale
-        positions[i3 + 2] = z * scale
+        positions[i3] = r * Math.sin(phi) * Math.cos(theta)
+        positions[i3 + 1] = r * Math.sin(phi) * Math.sin(theta)
+        positions[i3 + 2] = r * Math.cos(phi)
     }
 
     return positions
@@ -62,7 +134,7 @@ export const generateHeart = (count, scale = 0.15) => {
  * @param {number} count - Number of particles
  * @param {number} size - Cube size
  */
-export const generateCube = (count, size = 3) => {
+export const generateCube = (count, size = 2) => {
     const positions = new Float32Array(count * 3)
     const half = size / 2
 
@@ -71,8 +143,8 @@ export const generateCube = (count, size = 3) => {
 
         // Distribute particles on cube faces
         const face = i % 6
-        const u = Math.random()
-        const v = Math.random()
+        const u = random()
+        const v = random()
 
         switch (face) {
             case 0: // Front
@@ -117,7 +189,7 @@ export const generateCube = (count, size = 3) => {
  * @param {number} radius - Helix radius
  * @param {number} height - Helix height
  */
-export const generateDoubleHelix = (count, radius = 1.5, height = 6) => {
+export const generateDoubleHelix = (count, radius = 0.5, height = 2) => {
     const positions = new Float32Array(count * 3)
 
     for (let i = 0; i < count; i++) {
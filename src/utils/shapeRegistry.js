@@ -0,0 +1,288 @@
+import * as THREE from 'three'
+import {
+    generateSphere,
+    generateHeart,
+    generateFlower,
+    generateSaturn,
+    generateBurst,
+    generateCube,
+    generateDoubleHelix
+} from './shapeGenerators'
+import { generateText } from './rasterGenerators'
+import { createPalette, paletteColors } from './palettes'
+
+/**
+ * Shape Registry
+ * Single source of truth for particle target shapes. ParticleSystem,
+ * the gesture binding table and the help screen all read from here.
+ */
+
+export const DEFAULT_SHAPE = 'SPHERE'
+
+// Spring towards the target (1/s²) and velocity drag (1/s), per unit mass
+export const DEFAULT_PHYSICS = { stiffness: 40, damping: 8 }
+
+// Orbit camera view; azimuth / elevation in degrees, see CameraController
+export const DEFAULT_CAMERA = { distance: 120, azimuth: 0, elevation: 0 }
+
+// Emitter mode: particles launch from the hand in bursts and live out a lifetime
+export const DEFAULT_EMITTER = {
+    speed: 70,              // Launch speed, units/s
+    gravity: -40,           // units/s², along y
+    drag: 0.8,              // 1/s
+    lifetime: [1.2, 2.2],   // Seconds, random per particle
+    burstSize: 1 / 16,      // Share of all particles per burst
+    repeat: 0.5,            // Seconds between bursts while the gesture is held
+    colors: ['#ffffff']     // One is picked per burst
+}
+
+const shapes = new Map()
+
+const createEmitter = (definition) => {
+    const emitter = { ...DEFAULT_EMITTER, ...definition }
+    return { ...emitter, colors: emitter.colors.map(c => new THREE.Color(c)) }
+}
+
+/**
+ * Register (or replace) a target shape.
+ * @param {string} name - Shape id, e.g. 'CUBE'
+ * @param {object} definition
+ * @param {(count: number, params: object) => Float32Array|{positions: Float32Array, colors: Float32Array}} definition.generate - xyz per particle, unit space
+ * @param {string|number} [definition.color] - Base particle colour
+ * @param {import('./palettes').PaletteDefinition} [definition.palette] - Gradient over the shape, overrides color
+ * @param {number} [definition.scale] - Unit space -> scene units
+ * @param {object} [definition.params] - Default params passed to generate
+ * @param {{stiffness: number, damping: number}} [definition.physics] - Spring feel, see DEFAULT_PHYSICS
+ * @param {object} [definition.post] - Post-processing overrides while shown, see DEFAULT_POST in PostProcessing.js
+ * @param {object} [definition.camera] - View the camera eases to, see DEFAULT_CAMERA
+ * @param {object} [definition.emitter] - Run as a particle emitter instead of a target shape, see DEFAULT_EMITTER
+ * @param {string} [definition.description] - Extra help text
+ */
+export const registerShape = (name, definition) => {
+    if (!definition || typeof definition.generate !== 'function') {
+        throw new Error(`Shape "${name}" needs a generate(count, params) function`)
+    }
+
+    const shape = {
+        name,
+        generate: definition.generate,
+        color: new THREE.Color(definition.color ?? '#00ffff'),
+        palette: definition.palette ? createPalette(definition.palette) : null,
+        scale: definition.scale ?? 1,
+        params: definition.params ?? {},
+        physics: { ...DEFAULT_PHYSICS, ...definition.physics },
+        post: definition.post ?? {},
+        camera: { ...DEFAULT_CAMERA, ...definition.camera },
+        emitter: definition.emitter ? createEmitter(definition.emitter) : null,
+        description: definition.description ?? ''
+    }
+
+    shapes.set(name, shape)
+    return shape
+}
+
+export const unregisterShape = (name) => {
+    if (name === DEFAULT_SHAPE) throw new Error(`Cannot remove default shape "${name}"`)
+    shapes.delete(name)
+}
+
+export const getShape = (name) => shapes.get(name)
+
+/**
+ * `name`, or `name` with the first free suffix when it is taken, e.g.
+ * 'SPHERE' -> 'SPHERE_2'. For user shapes (dropped files) that must not
+ * replace a registered one, and the bindings and presets that name it.
+ * @param {string} name
+ */
+export const uniqueShapeName = (name) => {
+    if (!shapes.has(name)) return name
+    let n = 2
+    while (shapes.has(`${name}_${n}`)) n++
+    return `${name}_${n}`
+}
+
+/**
+ * Change a shape's default params at runtime (e.g. the TEXT string).
+ * Takes effect the next time the shape is generated.
+ */
+export const setShapeParams = (name, params) => {
+    const shape = shapes.get(name)
+    if (!shape) throw new Error(`Unknown shape "${name}"`)
+    shape.params = { ...shape.params, ...params }
+    return shape.params
+}
+
+export const getShapes = () => Array.from(shapes.values())
+
+/**
+ * Change a shape's flat colour (used where it has no palette).
+ */
+export const setShapeColor = (name, color) => {
+    const shape = shapes.get(name)
+    if (!shape) throw new Error(`Unknown shape "${name}"`)
+    shape.color = new THREE.Color(color)
+    return shape.color
+}
+
+/**
+ * Replace a shape's palette at runtime (null falls back to its flat colour).
+ */
+export const setShapePalette = (name, palette) => {
+    const shape = shapes.get(name)
+    if (!shape) throw new Error(`Unknown shape "${name}"`)
+    shape.palette = palette ? createPalette(palette) : null
+    return shape.palette
+}
+
+/**
+ * The shape `offset` places after `name` in registration order, wrapping round.
+ * @param {string} name
+ * @param {number} offset - e.g. 1 for the next shape, -1 for the previous
+ */
+export const getAdjacentShape = (name, offset) => {
+    const all = getShapes()
+    const index = all.findIndex(s => s.name === name)
+    return all[(((index + offset) % all.length) + all.length) % all.length]
+}
+
+/**
+ * Generate scene-space target positions for a registered shape.
+ * Generators return either xyz positions or { positions, colors } when they
+ * carry per-particle colour (rgb, 0-1).
+ * @param {string} name
+ * @param {number} count - Number of particles
+ * @param {object} params - Overrides for the shape's default params
+ * @returns {{ positions: Float32Array, colors: Float32Array|null, generated: boolean }} generated:
+ *   the colours came from the generator (they win over the palette), not from shadeShape
+ */
+export const generateShape = (name, count, params = {}) => {
+    const shape = shapes.get(name)
+    if (!shape) throw new Error(`Unknown shape "${name}"`)
+
+    const result = shape.generate(count, { ...shape.params, ...params })
+    const positions = result instanceof Float32Array ? result : result?.positions
+    const colors = result instanceof Float32Array ? null : (result?.colors ?? null)
+
+    if (!(positions instanceof Float32Array) || positions.length !== count * 3) {
+        throw new Error(`Shape "${name}" must return a Float32Array of ${count * 3} values`)
+    }
+    if (colors && colors.length !== count * 3) {
+        throw new Error(`Shape "${name}" must return ${count * 3} colour values`)
+    }
+
+    if (shape.scale !== 1) {
+        for (let i = 0; i < positions.length; i++) positions[i] *= shape.scale
+    }
+    return { positions, colors: colors ?? shadeShape(name, positions), generated: colors !== null }
+}
+
+/**
+ * Palette colours for scene-space positions of a shape, or null without a palette.
+ * @param {string} name
+ * @param {Float32Array} positions - xyz per particle, scene units
+ */
+export const shadeShape = (name, positions) => {
+    const shape = shapes.get(name)
+    if (!shape || !shape.palette) return null
+    return paletteColors(shape.palette, positions, shape.scale)
+}
+
+// --- BUILT-IN SHAPES ---
+registerShape('SPHERE', {
+    generate: (count) => generateSphere(count),
+    color: '#00ffff',
+    palette: { by: 'height', stops: ['#0066ff', '#00ffff'] },
+    scale: 60,
+    post: { bloom: { strength: 0.8 } },
+    description: 'Idle'
+})
+
+registerShape('CUBE', {
+    generate: (count, { size }) => generateCube(count, size),
+    color: '#00ff88',
+    palette: { by: 'height', stops: ['#00aa66', '#00ffaa'] },
+    scale: 40,
+    params: { size: 2 }
+})
+
+registerShape('DOUBLE_HELIX', {
+    generate: (count, { radius, height }) => generateDoubleHelix(count, radius, height),
+    color: '#aa66ff',
+    palette: { by: 'index', stops: ['#6633ff', '#ff66ff', '#6633ff'] },
+    scale: 60,
+    params: { radius: 0.5, height: 2 }
+})
+
+registerShape('FLOWER', {
+    generate: (count, { petals, depth }) => generateFlower(count, petals, depth),
+    color: '#ffcc00',
+    // Petals shade into a darker centre
+    palette: {
+        by: 'radiusXY',
+        stops: [{ at: 0, color: '#662200' }, { at: 0.35, color: '#ff8800' }, { at: 1, color: '#ffdd33' }]
+    },
+    scale: 60,
+    params: { petals: 5, depth: 0.83 }
+})
+
+registerShape('SATURN', {
+    generate: (count, { ringMin, ringMax }) => generateSaturn(count, ringMin, ringMax),
+    color: '#ffaa88',
+    // Tan body, banded rings with a dark Cassini division
+    palette: {
+        by: 'radius',
+        range: [0, 2.25],
+        stops: [
+            { at: 0.44, color: '#c8a46e' },
+            { at: 0.45, color: '#b08850' },
+            { at: 0.66, color: '#e8d5b0' },
+            { at: 0.75, color: '#8a6d48' },
+            { at: 0.76, color: '#f0e0c0' },
+            { at: 0.86, color: '#a58860' },
+            { at: 0.87, color: '#2a2015' },
+            { at: 0.9, color: '#2a2015' },
+            { at: 0.91, color: '#d8c8a8' },
+            { at: 1, color: '#907858' }
+        ]
+    },
+    scale: 40,
+    camera: { distance: 170, elevation: 22 }, // Tilted to show the rings
+    params: { ringMin: 1.5, ringMax: 2.25 }
+})
+
+registerShape('HEART', {
+    generate: (count, { depth }) => generateHeart(count, depth),
+    color: '#ff0055',
+    palette: { by: 'height', stops: ['#aa0033', '#ff3377'] },
+    scale: 56,
+    camera: { distance: 85 },
+    params: { depth: 0.18 }
+})
+
+registerShape('FIREWORKS', {
+    generate: (count) => generateBurst(count),
+    color: '#ffffff',
+    palette: { by: 'radius', stops: ['#ffffff', '#ffdd88', '#ff5500'] },
+    // Loose and bouncy: a push sends particles flying, then they spring back
+    physics: { stiffness: 12, damping: 1.2 },
+    // Glow hard and leave trails
+    post: {
+        bloom: { strength: 2.2, radius: 0.6 },
+        afterimage: { enabled: true, damp: 0.9 }
+    },
+    // Bursts from an open hand instead of holding the cloud above
+    emitter: {
+        colors: ['#ff3355', '#33ddff', '#ffdd33', '#66ff66', '#ff66ff', '#ffffff']
+    },
+    scale: 200,
+    camera: { distance: 150 },
+    description: 'BURST'
+})
+
+registerShape('TEXT', {
+    generate: (count, params) => generateText(count, params),
+    color: '#ffffff',
+    scale: 60,
+    post: { bloom: { strength: 0.6 } }, // Keep letters legible
+    params: { text: 'HELLO', fontFamily: 'sans-serif', fontWeight: 'bold', depth: 0.1 }
+})
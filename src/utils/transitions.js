@@ -0,0 +1,67 @@
+import { random } from './random'
+
+/**
+ * Morph Transitions
+ * Easing ids shared with simulationFrag.glsl and per-particle stagger orders.
+ */
+
+// Must match ease() in simulationFrag.glsl
+export const EASINGS = {
+    linear: 0,
+    easeInCubic: 1,
+    easeOutCubic: 2,
+    easeInOutCubic: 3,
+    easeOutBack: 4
+}
+
+export const DEFAULT_TRANSITION = {
+    duration: 1.2,          // Seconds, including stagger; 0 = spring straight to the target
+    easing: 'easeInOutCubic',
+    stagger: 0.3,           // Fraction of duration spent staggering starts
+    order: 'random',        // See STAGGER_ORDERS
+    reverse: false,
+    match: false            // Reassign slots so particles take short paths
+}
+
+/**
+ * Per-particle sort key; particles with a lower key start first.
+ */
+const STAGGER_ORDERS = {
+    index: (x, y, z, i) => i,
+    random: () => random(),
+    radial: (x, y, z) => Math.sqrt(x * x + y * y + z * z), // Inside out
+    height: (x, y) => y                                     // Bottom to top
+}
+
+export const STAGGER_ORDER_NAMES = Object.keys(STAGGER_ORDERS)
+
+/**
+ * Normalised start delay (0-1) per particle.
+ * @param {Float32Array} positions - Target xyz per particle
+ * @param {string} order - Key of STAGGER_ORDERS
+ * @param {boolean} reverse - Flip the order (e.g. outside in)
+ */
+export const staggerDelays = (positions, order = 'index', reverse = false) => {
+    const key = STAGGER_ORDERS[order]
+    if (!key) throw new Error(`Unknown stagger order "${order}"`)
+
+    const count = positions.length / 3
+    const delays = new Float32Array(count)
+    let min = Infinity
+    let max = -Infinity
+
+    for (let i = 0; i < count; i++) {
+        const v = key(positions[i * 3], positions[i * 3 + 1], positions[i * 3 + 2], i)
+        delays[i] = v
+        if (v < min) min = v
+        if (v > max) max = v
+    }
+
+    const span = max - min
+    for (let i = 0; i < count; i++) {
+        const t = span > 0 ? (delays[i] - min) / span : 0
+        delays[i] = reverse ? 1 - t : t
+    }
+
+    return delays
+}
@@ -1,6 +1,15 @@
 import { HandLandmarker, FilesetResolver } from "@mediapipe/tasks-vision";
 import * as Comlink from "comlink";
 
+/**
+ * Hand tracking worker: MediaPipe HandLandmarker behind Comlink, driven by
+ * utils/handTrackingBackends.js.
+ */
+
+// WASM for the installed @mediapipe/tasks-vision, which package.json pins exactly;
+// the JS bundle and the WASM must be the same release
+const WASM_PATH = "https://cdn.jsdelivr.net/npm/@mediapipe/tasks-vision@1.0.1/wasm";
+
 let handLandmarker = null;
 
 const api = {
@@ -9,16 +18,16 @@ const api = {
      */
     async init() {
         try {
-            const vision = await FilesetResolver.forVisionTasks(
-                "https://cdn.jsdelivr.net/npm/@mediapipe/tasks-vision@latest/wasm"
-            );
+            const vision = await FilesetResolver.forVisionTasks(WASM_PATH);
             handLandmarker = await HandLandmarker.createFromOptions(vision, {
                 baseOptions: {
                     modelAssetPath: `https://storage.googleapis.com/mediapipe-models/hand_landmarker/hand_landmarker/float16/1/hand_landmarker.task`,
                     delegate: "CPU" // Use CPU to keep GPU free for rendering 500k particles
                 },
                 runningMode: "VIDEO",
-                numHands: 2
+                numHands: 2,
+                minHandDetectionConfidence: 0.6,
+                minTrackingConfidence: 0.6
             });
             console.log("MediaPipe HandLandmarker initialized in Worker");
             return true;
@@ -30,8 +39,9 @@ const api = {
 
     /**
      * Detect hands in the provided ImageBitmap
-     * @param {ImageBitmap} imageBitmap 
-     * @param {number} timestamp 
+     * @param {ImageBitmap} imageBitmap - Transferred; closed here
+     * @param {number} timestamp - ms, increasing
+     * @returns {{ landmarks: object[][], handedness: object[][] }|null} Only what the tracker uses, to keep the copy back small
      */
     detect(imageBitmap, timestamp) {
         if (!handLandmarker) {
@@ -40,9 +50,9 @@ const api = {
         }
 
         try {
-            const result = handLandmarker.detectForVideo(imageBitmap, timestamp);
+            const { landmarks, handedness } = handLandmarker.detectForVideo(imageBitmap, timestamp);
             imageBitmap.close(); // Important: release memory
-            return result;
+            return { landmarks, handedness };
         } catch (e) {
             imageBitmap.close();
             console.error("Detection failed:", e);